@@ -7,6 +7,30 @@ class ContentScriptController {
   constructor() {
     this.isInitialized = false;
     this.cleanupFunctions = [];
+    this.activeRequest = null;
+    this.lastSummaryInput = null; // Comments behind the shown summary, for regenerating it
+    this.retryCountdownId = null;
+    this.markdownRenderer = new MarkdownRenderer();
+    // Markers of the default prompt's format, always recognized; custom ones come from the options page
+    this.defaultSectionMarkers = [
+      { name: 'POSITIVE SUMMARY', tone: 'positive' },
+      { name: 'NEGATIVE SUMMARY', tone: 'negative' }
+    ];
+    this.sectionMarkers = this.defaultSectionMarkers;
+    this.languageDetector = new LanguageDetector();
+    this.commentLanguages = new Map(); // Comment text -> detected language code, filled as comments load
+    this.commentRanker = new CommentRanker();
+    this.commentApiLoader = new CommentApiLoader({
+      parseCount: (text) => this.parseCount(text),
+      createComment: (text) => this.createComment(text),
+      getCommentKey: (comment) => this.getCommentKey(comment),
+      sleep: (ms) => this.sleep(ms)
+    });
+    this.commentFilter = new CommentFilter();
+    this.momentFinder = new MomentFinder(this.languageDetector.stopwords);
+    this.showMomentMarkers = false; // Whether hot moments are also marked on the progress bar
+    this.threadIds = new WeakMap(); // Thread element -> ID, for threads without a comment link
+    this.clickedReplyButtons = new WeakSet(); // Reply buttons already expanded during Deep Summarize
   }
 
   /**
@@ -117,27 +141,24 @@ class ContentScriptController {
    * Handles summarize button click
    */
   async handleSummarizeClick() {
+    const request = this.beginRequest();
     try {
       this.setButtonProcessingState(true);
       
       const comments = await this.loadVisibleComments();
-      const processedComments = this.validateAndProcessComments(comments);
-      
-      this.showLoading(processedComments.length);
-      
-      const response = await this.requestSummaryFromBackground(processedComments);
+      const ranking = await this.loadRankingStrategy();
+      const { comments: processedComments, filtered } = this.validateAndProcessComments(comments, ranking);
       
-      if (response.error) {
-        throw new Error(response.error);
-      }
-      
-      this.showSummary(response.summary, processedComments.length, false);
+      await this.summarizeComments(processedComments, 30000, { ranking, filtered });
       
     } catch (error) {
-      console.error('Error in summarize handler:', error);
       this.removeSummaryBox();
-      this.showSummary(error.message, 0, true);
+      if (!this.isCancelError(error)) {
+        console.error('Error in summarize handler:', error);
+        this.showSummary(error.message, 0, true, { retryAt: error.retryAt });
+      }
     } finally {
+      this.endRequest(request);
       this.setButtonProcessingState(false);
     }
   }
@@ -146,6 +167,7 @@ class ContentScriptController {
    * Handles deep summarize button click
    */
   async handleDeepSummarizeClick() {
+    const request = this.beginRequest();
     try {
       this.setButtonProcessingState(true);
       
@@ -153,37 +175,285 @@ class ContentScriptController {
       this.showTemporaryLoading();
       
       console.log('Starting deep summarize...');
-      const comments = await this.loadCommentsWithScrolling();
+      const comments = await this.loadDeepComments();
       
       // Remove temporary loading message
       this.removeTemporaryLoading();
       
-      const processedComments = this.validateAndProcessComments(comments);
-      
-      this.showLoading(processedComments.length);
+      const ranking = await this.loadRankingStrategy();
+      const { comments: processedComments, filtered } = this.validateAndProcessComments(comments, ranking);
       
-      const response = await this.requestSummaryFromBackground(processedComments, 90000);
-      
-      if (response.error) {
-        throw new Error(response.error);
-      }
-      
-      this.showSummary(response.summary, processedComments.length, false);
+      await this.summarizeComments(processedComments, 90000, { ranking, filtered });
       
     } catch (error) {
-      console.error('Error in deep summarize handler:', error);
       this.removeSummaryBox();
       this.removeTemporaryLoading();
-      this.showSummary(error.message, 0, true);
+      if (!this.isCancelError(error)) {
+        console.error('Error in deep summarize handler:', error);
+        this.showSummary(error.message, 0, true, { retryAt: error.retryAt });
+      }
+    } finally {
+      this.endRequest(request);
+      this.setButtonProcessingState(false);
+    }
+  }
+
+  /**
+   * Handles regenerate button click: summarizes the same comments again, skipping the cache
+   */
+  async handleRegenerateClick() {
+    const input = this.lastSummaryInput;
+    if (!input || input.videoId !== this.getVideoId()) return;
+
+    const request = this.beginRequest();
+    try {
+      this.setButtonProcessingState(true);
+      await this.summarizeComments(input.comments, input.timeout, { bypassCache: true, ranking: input.ranking, filtered: input.filtered });
+    } catch (error) {
+      this.removeSummaryBox();
+      if (!this.isCancelError(error)) {
+        console.error('Error in regenerate handler:', error);
+        this.showSummary(error.message, 0, true, { retryAt: error.retryAt });
+      }
     } finally {
+      this.endRequest(request);
       this.setButtonProcessingState(false);
     }
   }
 
   /**
-   * Loads visible comments without scrolling
+   * Requests a summary of the given comments and shows it, streaming partial output as it arrives
+   */
+  async summarizeComments(comments, timeout, { bypassCache = false, ranking, filtered } = {}) {
+    this.lastSummaryInput = { comments, timeout, ranking, filtered, videoId: this.getVideoId() };
+    this.showLoading(comments.length);
+    await this.loadSectionMarkers();
+    await this.loadMomentSettings();
+    
+    let response;
+    try {
+      response = await this.requestSummaryFromBackground(comments, timeout, {
+        bypassCache,
+        onPartial: (text) => this.renderPartialSummary(text, comments.length),
+        onProgress: (progress) => this.showSummaryProgress(progress, comments.length)
+      });
+    } catch (error) {
+      if (error.retryAfter) {
+        error.retryAt = Date.now() + error.retryAfter;
+      }
+      throw error;
+    }
+    
+    this.showSummary(response.summary, comments.length, false, {
+      provider: response.provider,
+      ranking,
+      languages: this.getLanguageBreakdown(comments),
+      analysis: response.analysis,
+      cachedAt: response.cached ? response.cachedAt : null,
+      quarantined: response.quarantined || 0,
+      filtered,
+      moments: this.momentFinder.find(comments, this.getVideoDuration()),
+      canRegenerate: true,
+      canAsk: Boolean(this.lastSummaryInput.videoId && response.summary)
+    });
+  }
+
+  /**
+   * Returns the ID of the video being watched, or null outside a watch page
+   */
+  getVideoId() {
+    return new URLSearchParams(window.location.search).get('v');
+  }
+
+  /**
+   * Starts tracking a new summarize or ask request so it can be cancelled
+   */
+  beginRequest() {
+    this.cancelActiveRequest();
+    this.activeRequest = {
+      id: crypto.randomUUID(),
+      cancelled: false,
+      abortController: new AbortController(), // Aborts the page's own fetches, such as comment API requests
+      onCancel: null
+    };
+    return this.activeRequest;
+  }
+
+  /**
+   * Stops tracking a finished request
+   */
+  endRequest(request) {
+    if (this.activeRequest === request) {
+      this.activeRequest = null;
+    }
+  }
+
+  /**
+   * Cancels the in-flight request: stops comment loading and aborts the provider call
+   */
+  cancelActiveRequest() {
+    const request = this.activeRequest;
+    if (!request || request.cancelled) return;
+
+    request.cancelled = true;
+    request.abortController.abort();
+    if (request.onCancel) {
+      request.onCancel();
+    }
+
+    Protocol.send(MessageTypes.CANCEL, { targetRequestId: request.id }).catch((error) => {
+      console.error('Cancel request error:', error);
+    });
+  }
+
+  /**
+   * Throws if the active request was cancelled
+   */
+  throwIfCancelled() {
+    if (this.activeRequest?.cancelled) {
+      throw this.createCancelError();
+    }
+  }
+
+  createCancelError() {
+    const error = new Error('Summarization cancelled');
+    error.name = 'CancelError';
+    return error;
+  }
+
+  isCancelError(error) {
+    return error?.name === 'CancelError';
+  }
+
+  /**
+   * Waits for the given time, then throws if the request was cancelled meanwhile
+   */
+  async sleep(ms) {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    this.throwIfCancelled();
+  }
+
+  /**
+   * Creates the cancel control shown while a request is running
+   */
+  createCancelButton() {
+    return this.createButton(
+      'yt-summarize-cancel-btn',
+      'Cancel',
+      'Cancel summarization',
+      () => this.cancelActiveRequest()
+    );
+  }
+
+  /**
+   * Loads visible comments without scrolling, with the author and engagement details YouTube shows for each
    */
   async loadVisibleComments() {
+    const elements = document.querySelectorAll('ytd-comment-thread-renderer ytd-comment-view-model, ytd-comment-thread-renderer ytd-comment-renderer');
+    const extracted = elements.length > 0
+      ? [...elements].map(element => this.extractComment(element))
+      : this.extractCommentTexts();
+
+    const comments = [];
+    const seenComments = new Set(); // To avoid duplicates
+    for (const comment of extracted) {
+      if (!comment || seenComments.has(this.getCommentKey(comment))) {
+        continue;
+      }
+      comments.push(comment);
+      seenComments.add(this.getCommentKey(comment));
+      if (!this.commentLanguages.has(comment.text)) {
+        this.commentLanguages.set(comment.text, this.languageDetector.detect(comment.text));
+      }
+    }
+    
+    console.log(`Found ${comments.length} unique comments from DOM`);
+    return comments;
+  }
+
+  /**
+   * Builds the comment model from a comment element: text, author, likes, age, reply count,
+   * whether it is pinned, hearted by the creator or written by the creator, and its place in
+   * its reply thread (the thread's ID and its depth, 0 for the comment that started it)
+   */
+  extractComment(element) {
+    const text = element.querySelector('#content-text')?.textContent?.trim();
+    if (!text || text.length <= 5 || text.length >= 1000) {
+      return null;
+    }
+
+    const isShown = (selector) => {
+      const badge = element.querySelector(selector);
+      return Boolean(badge) && !badge.closest('[hidden]');
+    };
+    const getText = (selector, maxLength) => (element.querySelector(selector)?.textContent || '').trim().slice(0, maxLength);
+    const depth = this.getReplyDepth(element);
+    const isReply = depth > 0;
+    const thread = element.closest('ytd-comment-thread-renderer');
+    // The creator's name is shown in a badge instead of the plain author link
+    const byCreator = isShown('ytd-author-comment-badge-renderer[creator]');
+
+    return {
+      ...this.createComment(text),
+      author: getText('#author-text', 100) || (byCreator ? getText('#author-comment-badge', 100) : ''),
+      likes: this.parseCount(element.querySelector('#vote-count-middle')?.textContent),
+      publishedTime: getText('#published-time-text', 50),
+      replyCount: isReply ? 0 : this.parseCount(thread?.querySelector('#replies #more-replies')?.textContent),
+      pinned: isShown('#pinned-comment-badge ytd-pinned-comment-badge-renderer'),
+      hearted: isShown('#creator-heart-button ytd-creator-heart-renderer'),
+      byCreator,
+      isReply,
+      threadId: thread ? this.getThreadId(thread) : '',
+      depth
+    };
+  }
+
+  /**
+   * Number of reply lists an element is nested in: 0 outside replies, 1 for replies to a comment, and so on
+   */
+  getReplyDepth(element) {
+    let depth = 0;
+    for (let node = element.closest('ytd-comment-replies-renderer'); node; node = node.parentElement?.closest('ytd-comment-replies-renderer')) {
+      depth++;
+    }
+    return depth;
+  }
+
+  /**
+   * Stable ID of a comment thread: the ID of its first comment, taken from the comment's link,
+   * or a generated one when the link is missing
+   */
+  getThreadId(thread) {
+    const link = thread.querySelector('#published-time-text a[href*="lc="]');
+    if (link) {
+      try {
+        const id = new URL(link.href, window.location.origin).searchParams.get('lc');
+        if (id) {
+          // Reply IDs are "<thread ID>.<reply ID>"
+          return id.split('.')[0].slice(0, 64);
+        }
+      } catch (error) {
+        // Fall through to a generated ID
+      }
+    }
+    if (!this.threadIds.has(thread)) {
+      this.threadIds.set(thread, crypto.randomUUID());
+    }
+    return this.threadIds.get(thread);
+  }
+
+  /**
+   * Identifies a comment when merging repeated scans of the page. The same text in different threads
+   * counts as separate comments, so copy-pasted comments can be counted.
+   */
+  getCommentKey(comment) {
+    return `${comment.threadId}\n${comment.text}`;
+  }
+
+  /**
+   * Text-only fallback for page layouts where the comment elements aren't found
+   */
+  extractCommentTexts() {
     // Multiple selectors to catch different comment structures
     const commentSelectors = [
       '#content-text', // Main comment text
@@ -197,7 +467,6 @@ class ContentScriptController {
     ];
     
     const comments = [];
-    const seenComments = new Set(); // To avoid duplicates
     
     for (const selector of commentSelectors) {
       const elements = document.querySelectorAll(selector);
@@ -207,8 +476,7 @@ class ContentScriptController {
         
         if (text && 
             text.length > 5 && 
-            text.length < 1000 && 
-            !seenComments.has(text)) {
+            text.length < 1000) {
           
           // Skip common YouTube UI text
           if (!text.includes('Show more') && 
@@ -220,33 +488,174 @@ class ContentScriptController {
               !text.includes('Share') &&
               !text.includes('Report')) {
             
-            comments.push(text);
-            seenComments.add(text);
+            comments.push(this.createComment(text));
           }
         }
       }
     }
-    
-    console.log(`Found ${comments.length} unique comments from DOM`);
+
     return comments;
   }
 
   /**
-   * Loads comments with scrolling to get more
+   * A comment with no details beyond its text
+   */
+  createComment(text) {
+    return {
+      text,
+      author: '',
+      likes: 0,
+      publishedTime: '',
+      replyCount: 0,
+      pinned: false,
+      hearted: false,
+      byCreator: false,
+      isReply: false,
+      threadId: '',
+      depth: 0
+    };
+  }
+
+  /**
+   * Parses counts as YouTube displays them ("87", "1,234 replies", "1.2K", "3M"); 0 when missing
+   */
+  parseCount(text) {
+    const match = (text || '').trim().match(/(\d[\d.,]*)\s*([KMB])?/i);
+    if (!match) {
+      return 0;
+    }
+    if (match[2]) {
+      const multiplier = { k: 1e3, m: 1e6, b: 1e9 }[match[2].toLowerCase()];
+      return Math.round(parseFloat(match[1].replace(',', '.')) * multiplier);
+    }
+    return parseInt(match[1].replace(/[.,]/g, ''), 10) || 0;
+  }
+
+  /**
+   * Share of each detected language among the given comments, most common first.
+   * Comments too short to tell are left out.
+   */
+  getLanguageBreakdown(comments) {
+    const counts = new Map();
+    let detected = 0;
+    for (const { text } of comments) {
+      if (!this.commentLanguages.has(text)) {
+        this.commentLanguages.set(text, this.languageDetector.detect(text));
+      }
+      const language = this.commentLanguages.get(text);
+      if (language) {
+        counts.set(language, (counts.get(language) || 0) + 1);
+        detected++;
+      }
+    }
+
+    return [...counts.entries()]
+      .map(([language, count]) => ({ language, count, share: count / detected }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Loads comments for Deep Summarize through YouTube's comment API, falling back to scrolling the page.
+   * Collection ends at the target count, at the time limit, or when the user asks to summarize early.
+   */
+  async loadDeepComments() {
+    const settings = await this.loadDeepSummarizeSettings();
+    const replyDepth = settings.includeReplies ? settings.replyDepth : 0;
+    this.startCollection(settings);
+    
+    try {
+      let comments = null;
+      const videoId = this.getVideoId();
+      if (videoId) {
+        try {
+          comments = await this.loadCommentsFromApi(videoId, replyDepth);
+        } catch (error) {
+          this.throwIfCancelled();
+          if (this.isCancelError(error)) {
+            throw error;
+          }
+          console.warn('Could not load comments through the comment API, loading them by scrolling instead:', error);
+        }
+      }
+      if (!comments?.length && !this.collection.stopRequested) {
+        comments = await this.loadCommentsWithScrolling(replyDepth);
+      }
+      
+      // Replies the viewer had already opened are on the page too
+      return settings.includeReplies ? comments || [] : (comments || []).filter(comment => !comment.isReply);
+    } finally {
+      this.collection = null;
+    }
+  }
+
+  /**
+   * Starts the count and time budget of a Deep Summarize collection
+   */
+  startCollection({ targetCount, maxDuration }) {
+    const startedAt = Date.now();
+    this.collection = {
+      startedAt,
+      targetCount,
+      deadline: startedAt + maxDuration * 1000,
+      stallTimeout: 10000, // Scrolling gives up once the page stops producing comments for this long
+      stopRequested: false
+    };
+  }
+
+  /**
+   * Whether collection should end: target reached, time limit hit, or "Stop and summarize" clicked
+   */
+  isCollectionDone(count) {
+    const collection = this.collection;
+    return !collection || collection.stopRequested || count >= collection.targetCount || Date.now() >= collection.deadline;
+  }
+
+  /**
+   * Ends collection early; the comments loaded so far are summarized
+   */
+  stopCollection() {
+    if (this.collection) {
+      this.collection.stopRequested = true;
+      this.showDeepProgress('Finishing up with the comments loaded so far...');
+    }
+  }
+
+  /**
+   * Pages through the video's comments, and replies up to the given depth, without touching the page
+   */
+  async loadCommentsFromApi(videoId, replyDepth) {
+    try {
+      this.showDeepProgress('Loading comments...', 0);
+      const comments = await this.commentApiLoader.load(videoId, {
+        maxComments: this.collection.targetCount,
+        replyDepth,
+        signal: this.activeRequest?.abortController.signal,
+        shouldStop: (count) => this.isCollectionDone(count),
+        onProgress: (count) => this.showDeepProgress(`Loading comments... (${count} found)`, count)
+      });
+      return comments;
+    } finally {
+      this.removeDeepProgress();
+    }
+  }
+
+  /**
+   * Loads comments with scrolling to get more, opening reply threads up to the given depth
    */
-  async loadCommentsWithScrolling() {
+  async loadCommentsWithScrolling(replyDepth) {
     const originalScrollTop = window.scrollY;
     const comments = [];
     
     try {
       console.log('Starting deep comment loading with targeted expansion...');
+      this.showDeepProgress('Expanding comments...', 0);
       
       // First, scroll to the comments section
       const commentsSection = document.querySelector('#comments');
       if (commentsSection) {
         console.log('Scrolling to comments section...');
         commentsSection.scrollIntoView({ behavior: 'smooth' });
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        await this.sleep(2000);
       }
       
       // Get initial comments
@@ -256,16 +665,11 @@ class ContentScriptController {
       
       // Try to expand comments with human-like scrolling
       console.log('Attempting to expand comments section with human-like scrolling...');
-      let expansionAttempts = 0;
-      const maxExpansionAttempts = 30; // Try for about 30 seconds
-      
-      while (expansionAttempts < maxExpansionAttempts) {
-        // Update progress
-        const progressPercent = Math.min(95, Math.round((expansionAttempts / maxExpansionAttempts) * 90));
-        const currentCommentsCount = await this.loadVisibleComments();
-        this.showDeepProgress(`Expanding comments... (${currentCommentsCount.length} found)`, progressPercent);
-        
-        let foundNewContent = false;
+      let lastNewCommentAt = Date.now();
+      
+      while (!this.isCollectionDone(comments.length)) {
+        this.throwIfCancelled();
+        this.showDeepProgress(`Expanding comments... (${comments.length} found)`, comments.length);
         
         // Look for "Load more" buttons in comments
         const loadMoreButtons = document.querySelectorAll('ytd-button-renderer, ytd-comments, ytd-comment-thread-renderer');
@@ -274,16 +678,21 @@ class ContentScriptController {
           if (buttonText.includes('load more') || buttonText.includes('show more')) {
             try {
               button.click();
-              foundNewContent = true;
               console.log('Clicked load more button');
-              await new Promise(resolve => setTimeout(resolve, 250 + Math.random() * 150)); // Doubled speed 0.25-0.4s
+              await this.sleep(250 + Math.random() * 150); // Doubled speed 0.25-0.4s
             } catch (error) {
+              if (this.isCancelError(error)) {
+                throw error;
+              }
               console.log('Failed to click load more button');
             }
           }
         }
         
-
+        // Open reply threads, up to the configured depth
+        if (replyDepth > 0) {
+          await this.expandReplyThreads(replyDepth);
+        }
         
         // Human-like scrolling - scroll slowly and naturally
         const currentHeight = document.documentElement.scrollHeight || document.body.scrollHeight;
@@ -298,28 +707,27 @@ class ContentScriptController {
         });
         
         // Wait like a human would between scrolls
-        await new Promise(resolve => setTimeout(resolve, 400 + Math.random() * 250)); // Doubled speed 0.4-0.65s
+        await this.sleep(400 + Math.random() * 250); // Doubled speed 0.4-0.65s
         
         // Check if we got more comments
+        // Opened replies appear in the middle of the page, so new comments aren't only at the end
         const currentComments = await this.loadVisibleComments();
-        if (currentComments.length > comments.length) {
-          console.log(`Found ${currentComments.length - comments.length} new comments`);
-          comments.push(...currentComments.slice(comments.length));
-        }
-        
-        // If no new content found for a while, stop
-        if (!foundNewContent && expansionAttempts > 15) {
-          console.log('No new content found, stopping expansion');
+        const seenComments = new Set(comments.map(comment => this.getCommentKey(comment)));
+        const newComments = currentComments.filter(comment => !seenComments.has(this.getCommentKey(comment)));
+        if (newComments.length > 0) {
+          console.log(`Found ${newComments.length} new comments`);
+          comments.push(...newComments);
+          lastNewCommentAt = Date.now();
+        } else if (Date.now() - lastNewCommentAt > this.collection.stallTimeout) {
+          console.log('No new comments are loading, stopping expansion');
           break;
         }
         
-        expansionAttempts++;
         // Random delay between attempts like a human
-        await new Promise(resolve => setTimeout(resolve, 150 + Math.random() * 150));
+        await this.sleep(150 + Math.random() * 150);
       }
       
       console.log('Comments expansion completed');
-      this.showDeepProgress('Comment expansion completed!', 100);
       
     } finally {
       // Restore scroll position
@@ -329,7 +737,7 @@ class ContentScriptController {
     }
     
     // Remove duplicates
-    const uniqueComments = [...new Set(comments)];
+    const uniqueComments = [...new Map(comments.map(comment => [this.getCommentKey(comment), comment])).values()];
     console.log(`Found ${uniqueComments.length} unique comments with targeted expansion`);
     return uniqueComments;
   }
@@ -337,51 +745,133 @@ class ContentScriptController {
 
 
   /**
-   * Shows progress for deep summarize operation
+   * Reads the Deep Summarize settings chosen on the options page
    */
-  showDeepProgress(message, progressPercent) {
-    // Remove existing progress indicator
-    const existingProgress = document.getElementById('yt-summarize-deep-progress');
-    if (existingProgress) {
-      existingProgress.remove();
+  async loadDeepSummarizeSettings() {
+    const defaults = { targetCount: 2000, maxDuration: 60, includeReplies: true, replyDepth: 1 };
+    try {
+      const { deepSummarize = {} } = await browser.storage.local.get('deepSummarize');
+      const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+      return {
+        targetCount: inRange(deepSummarize.targetCount, 50, 5000) ? deepSummarize.targetCount : defaults.targetCount,
+        maxDuration: inRange(deepSummarize.maxDuration, 10, 600) ? deepSummarize.maxDuration : defaults.maxDuration,
+        // A reply depth of 0 used to mean leaving replies out
+        includeReplies: typeof deepSummarize.includeReplies === 'boolean' ? deepSummarize.includeReplies : deepSummarize.replyDepth !== 0,
+        replyDepth: inRange(deepSummarize.replyDepth, 1, 3) ? deepSummarize.replyDepth : defaults.replyDepth
+      };
+    } catch (error) {
+      console.error('Failed to load Deep Summarize settings:', error);
+      return defaults;
     }
+  }
+
+  /**
+   * Clicks the buttons that show replies ("N replies", "Show more replies") in threads no deeper
+   * than maxDepth, a few per call so scrolling can continue between them. Returns how many were clicked.
+   */
+  async expandReplyThreads(maxDepth) {
+    const buttons = document.querySelectorAll(
+      '#comments ytd-comment-replies-renderer [id^="more-replies"] button, #comments ytd-comment-replies-renderer ytd-continuation-item-renderer button'
+    );
+    let clicked = 0;
     
-    // Create progress container
-    const progressContainer = document.createElement('div');
-    progressContainer.id = 'yt-summarize-deep-progress';
-    progressContainer.className = 'yt-summarize-deep-progress';
+    for (const button of buttons) {
+      if (clicked >= 10) break;
+      // A button inside N reply lists shows replies at depth N
+      if (this.clickedReplyButtons.has(button) || button.offsetParent === null || button.disabled ||
+          this.getReplyDepth(button) > maxDepth) {
+        continue;
+      }
+      
+      this.throwIfCancelled();
+      this.clickedReplyButtons.add(button);
+      button.click();
+      clicked++;
+      await this.sleep(150 + Math.random() * 100);
+    }
     
-    // Create progress bar
-    const progressBar = document.createElement('div');
-    progressBar.className = 'yt-summarize-progress-bar';
-    progressBar.style.width = `${progressPercent}%`;
+    return clicked;
+  }
+
+  /**
+   * Shows progress for deep summarize operation, with the time left estimated from the load rate so far
+   */
+  showDeepProgress(message, found = 0) {
+    let progressContainer = document.getElementById('yt-summarize-deep-progress');
     
-    // Create message
-    const messageElement = document.createElement('div');
-    messageElement.className = 'yt-summarize-progress-message';
-    messageElement.textContent = message;
+    // Build the container once and update it in place so the cancel button stays clickable
+    if (!progressContainer) {
+      progressContainer = document.createElement('div');
+      progressContainer.id = 'yt-summarize-deep-progress';
+      progressContainer.className = 'yt-summarize-deep-progress';
+      
+      const progressBar = document.createElement('div');
+      progressBar.className = 'yt-summarize-progress-bar';
+      
+      const messageElement = document.createElement('div');
+      messageElement.className = 'yt-summarize-progress-message';
+      
+      const timeElement = document.createElement('div');
+      timeElement.className = 'yt-summarize-progress-time';
+      
+      progressContainer.appendChild(progressBar);
+      progressContainer.appendChild(messageElement);
+      progressContainer.appendChild(timeElement);
+      progressContainer.appendChild(this.createButton(
+        'yt-summarize-stop-btn',
+        'Stop and summarize',
+        'Stop loading comments and summarize the ones loaded so far',
+        () => this.stopCollection()
+      ));
+      progressContainer.appendChild(this.createCancelButton());
+      
+      // Insert into page
+      const commentsSection = document.querySelector('#comments');
+      if (commentsSection) {
+        const buttonContainer = commentsSection.querySelector('.yt-summarize-button-container');
+        if (buttonContainer) {
+          buttonContainer.parentNode.insertBefore(progressContainer, buttonContainer.nextSibling);
+        } else {
+          commentsSection.insertBefore(progressContainer, commentsSection.firstChild);
+        }
+      }
+    }
     
-    // Create time remaining estimate
-    const timeElement = document.createElement('div');
-    timeElement.className = 'yt-summarize-progress-time';
-    const remainingSeconds = Math.max(0, Math.round((100 - progressPercent) * 0.3)); // Rough estimate
-    timeElement.textContent = remainingSeconds > 0 ? `~${remainingSeconds}s remaining` : 'Completing...';
+    const { percent, remaining } = this.getCollectionProgress(found);
+    progressContainer.querySelector('.yt-summarize-progress-bar').style.width = `${percent}%`;
+    progressContainer.querySelector('.yt-summarize-progress-message').textContent = message;
+    progressContainer.querySelector('.yt-summarize-progress-time').textContent =
+      remaining > 0 ? `~${this.formatDuration(remaining)} remaining` : 'Completing...';
     
-    // Assemble
-    progressContainer.appendChild(progressBar);
-    progressContainer.appendChild(messageElement);
-    progressContainer.appendChild(timeElement);
+    const stopButton = progressContainer.querySelector('.yt-summarize-stop-btn');
+    stopButton.disabled = !this.collection || this.collection.stopRequested;
+  }
+
+  /**
+   * Share of the collection done and time left: the observed load rate projected to the target
+   * count, capped by the time limit
+   */
+  getCollectionProgress(found) {
+    const collection = this.collection;
+    if (!collection || collection.stopRequested) {
+      return { percent: 100, remaining: 0 };
+    }
     
-    // Insert into page
-    const commentsSection = document.querySelector('#comments');
-    if (commentsSection) {
-      const buttonContainer = commentsSection.querySelector('.yt-summarize-button-container');
-      if (buttonContainer) {
-        buttonContainer.parentNode.insertBefore(progressContainer, buttonContainer.nextSibling);
-      } else {
-        commentsSection.insertBefore(progressContainer, commentsSection.firstChild);
-      }
+    const now = Date.now();
+    const elapsed = now - collection.startedAt;
+    let remaining = Math.max(0, collection.deadline - now);
+    if (found > 0 && elapsed > 0) {
+      const rate = found / elapsed;
+      remaining = Math.min(remaining, Math.max(0, collection.targetCount - found) / rate);
     }
+    
+    const percent = elapsed + remaining > 0 ? Math.round((elapsed / (elapsed + remaining)) * 100) : 100;
+    return { percent: Math.min(100, percent), remaining };
+  }
+
+  formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
   }
 
   /**
@@ -395,9 +885,10 @@ class ContentScriptController {
   }
 
   /**
-   * Validates and processes comments
+   * Validates and processes comments: filters out spam, collapses copies, and orders the rest by the
+   * ranking strategy. Returns the comments and how many of each kind were filtered.
    */
-  validateAndProcessComments(comments) {
+  validateAndProcessComments(comments, ranking) {
     if (!Array.isArray(comments)) {
       throw new Error('Invalid comments format');
     }
@@ -406,39 +897,119 @@ class ContentScriptController {
       throw new Error('No comments found');
     }
     
-    if (comments.length > 200) {
-      comments = comments.slice(0, 200);
-    }
-    
-    return comments.filter(comment => 
+    const validComments = comments.filter(comment => 
       comment && 
-      typeof comment === 'string' && 
-      comment.length > 5 && 
-      comment.length < 1000
+      typeof comment.text === 'string' && 
+      comment.text.length > 5 && 
+      comment.text.length < 1000
     );
+    
+    const { comments: usableComments, filtered } = this.commentFilter.filter(validComments);
+    if (usableComments.length === 0) {
+      throw new Error('No comments left after filtering out spam');
+    }
+    
+    // Large sets are summarized in batches by the background script, up to its hard limit;
+    // past that, the ranking decides which comments are kept
+    return { comments: this.commentRanker.rank(usableComments, ranking, 5000), filtered };
   }
 
   /**
-   * Requests summary from background script
+   * Reads the comment ranking strategy chosen on the options page
    */
-  async requestSummaryFromBackground(comments, timeout = 30000) {
-    const messagePromise = browser.runtime.sendMessage({
-      type: 'summarize',
-      comments: comments
-    });
-
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Request timeout')), timeout);
-    });
-
+  async loadRankingStrategy() {
     try {
-      const response = await Promise.race([messagePromise, timeoutPromise]);
-      return response;
+      const { commentRanking } = await browser.storage.local.get('commentRanking');
+      return this.commentRanker.isStrategy(commentRanking) ? commentRanking : this.commentRanker.defaultStrategy;
     } catch (error) {
-      throw new Error(`Background script error: ${error.message}`);
+      console.error('Failed to load comment ranking:', error);
+      return this.commentRanker.defaultStrategy;
     }
   }
 
+  /**
+   * Requests summary from background script over a streaming port.
+   * The timeout applies to inactivity, so it restarts whenever progress or a partial summary arrives.
+   */
+  requestSummaryFromBackground(comments, timeout = 30000, { onPartial = null, onProgress = null, bypassCache = false } = {}) {
+    return new Promise((resolve, reject) => {
+      let port;
+      try {
+        port = browser.runtime.connect({ name: 'summarize-stream' });
+      } catch (error) {
+        reject(new Error(`Background script error: ${error.message}`));
+        return;
+      }
+
+      let settled = false;
+      let timeoutId = null;
+      const request = this.activeRequest;
+
+      const finish = (callback) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+        try {
+          port.disconnect();
+        } catch (error) {
+          // Port already closed
+        }
+        callback();
+      };
+
+      const armTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+          finish(() => reject(new Error('Background script error: Request timeout')));
+        }, timeout);
+      };
+
+      const requestId = request?.id || Protocol.createRequestId();
+      port.onMessage.addListener((message) => {
+        if (message?.requestId !== requestId) return;
+
+        if (Protocol.isResponse(message)) {
+          finish(() => {
+            try {
+              resolve(Protocol.unwrapResponse(message));
+            } catch (error) {
+              reject(error);
+            }
+          });
+        } else if (message.type === MessageTypes.PARTIAL) {
+          armTimeout();
+          if (onPartial) {
+            onPartial(message.payload.text);
+          }
+        } else if (message.type === MessageTypes.PROGRESS) {
+          armTimeout();
+          if (onProgress) {
+            onProgress(message.payload);
+          }
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        finish(() => reject(new Error('Background script error: Connection closed unexpectedly')));
+      });
+
+      if (request) {
+        if (request.cancelled) {
+          finish(() => reject(this.createCancelError()));
+          return;
+        }
+        request.onCancel = () => finish(() => reject(this.createCancelError()));
+      }
+
+      armTimeout();
+      port.postMessage(Protocol.createRequest(MessageTypes.SUMMARIZE, {
+        videoId: this.getVideoId(),
+        bypassCache,
+        comments: comments
+      }, requestId));
+    });
+  }
+
   /**
    * Sets button processing state
    */
@@ -459,7 +1030,12 @@ class ContentScriptController {
     const loadingBox = document.createElement('div');
     loadingBox.id = 'yt-summarize-loading';
     loadingBox.className = 'yt-summarize-loading';
-    loadingBox.textContent = `Generating summary based on ${commentCount} comments...`;
+    
+    const message = document.createElement('span');
+    message.textContent = `Generating summary based on ${commentCount} comments...`;
+    
+    loadingBox.appendChild(message);
+    loadingBox.appendChild(this.createCancelButton());
     
     const commentsSection = document.querySelector('#comments');
     if (commentsSection) {
@@ -468,11 +1044,43 @@ class ContentScriptController {
   }
 
   /**
-   * Shows summary
+   * Updates the loading message with batch progress reported by the background script
    */
-  showSummary(summary, commentCount, isError = false) {
-    this.removeSummaryBox();
-    
+  showSummaryProgress(progress, commentCount) {
+    // A failover can happen after streaming started, in which case the partial text is replaced
+    const message = document.querySelector('#yt-summarize-loading span') ||
+      document.querySelector('#yt-summarize-summary[data-streaming="true"] .yt-summarize-content');
+    if (!message) return;
+
+    switch (progress.stage) {
+      case 'map':
+        message.textContent = `Summarizing ${commentCount} comments in batches (${progress.completed}/${progress.total} done)...`;
+        break;
+      case 'merge':
+        message.textContent = `Merging batch summaries (${progress.completed}/${progress.total} done)...`;
+        break;
+      case 'reduce':
+        message.textContent = `Writing final summary from ${commentCount} comments...`;
+        break;
+      case 'failover':
+        message.textContent = `${progress.from} is unavailable, switching to ${progress.to}...`;
+        break;
+      case 'throttle':
+        message.textContent = `Waiting ${Math.ceil(progress.wait / 1000)} s for the ${progress.provider} rate limit to reset...`;
+        break;
+      case 'retry':
+        message.textContent = `${progress.provider} busy, retrying in ${Math.ceil(progress.delay / 1000)}s (attempt ${progress.attempt} of ${progress.maxRetries})...`;
+        break;
+    }
+  }
+
+  /**
+   * Shows summary, noting which provider answered and whether it came from the cache
+   */
+  showSummary(summary, commentCount, isError = false, details = {}) {
+    this.removeSummaryBox();
+    this.removeMomentMarkers();
+    
     const summaryBox = document.createElement('div');
     summaryBox.id = 'yt-summarize-summary';
     summaryBox.className = 'yt-summarize-box';
@@ -481,20 +1089,577 @@ class ContentScriptController {
     }
     
     const title = document.createElement('h3');
-    title.textContent = isError ? 'Error' : `Summary (${commentCount} comments)`;
+    const ranking = details.ranking ? `, ${this.commentRanker.getLabel(details.ranking)}` : '';
+    title.textContent = isError ? 'Error' : `Summary (${commentCount} comments${ranking})`;
+    if (!isError && details.provider) {
+      title.textContent += ` · via ${details.provider}`;
+    }
+    if (!isError && details.cachedAt) {
+      title.textContent += ` · cached ${this.formatAge(details.cachedAt)}`;
+    }
     
     const content = document.createElement('div');
-    content.textContent = summary;
+    content.className = 'yt-summarize-content';
+    if (!isError && details.analysis) {
+      content.appendChild(this.renderAnalysis(details.analysis));
+    } else if (!isError) {
+      content.appendChild(this.renderSummaryText(summary));
+    } else {
+      content.textContent = summary;
+    }
     
     summaryBox.appendChild(title);
+    if (!isError && details.languages?.length > 0) {
+      summaryBox.appendChild(this.createLanguageBreakdown(details.languages));
+    }
+    if (!isError && details.quarantined > 0) {
+      summaryBox.appendChild(this.createQuarantineNotice(details.quarantined));
+    }
+    if (!isError && details.filtered && Object.values(details.filtered).some(count => count > 0)) {
+      summaryBox.appendChild(this.createFilterNotice(details.filtered));
+    }
     summaryBox.appendChild(content);
     
+    if (!isError && details.moments?.length > 0) {
+      summaryBox.appendChild(this.createMomentsList(details.moments));
+      if (this.showMomentMarkers) {
+        this.drawMomentMarkers(details.moments);
+      }
+    }
+    
+    if (isError && details.retryAt) {
+      summaryBox.appendChild(this.createRetryCountdown(details.retryAt));
+    }
+    
+    if (!isError && details.canRegenerate) {
+      summaryBox.appendChild(this.createButton(
+        'yt-summarize-regenerate-btn',
+        'Regenerate',
+        'Generate a fresh summary instead of the saved one',
+        () => this.handleRegenerateClick()
+      ));
+    }
+    
+    if (!isError && details.canAsk) {
+      summaryBox.appendChild(this.createChat());
+    }
+    
     const commentsSection = document.querySelector('#comments');
     if (commentsSection) {
       commentsSection.insertBefore(summaryBox, commentsSection.firstChild);
     }
   }
 
+  /**
+   * Lists the moments of the video that comments point to most, as buttons that seek the video there
+   */
+  createMomentsList(moments) {
+    const section = document.createElement('div');
+    section.className = 'yt-summarize-moments';
+    
+    const heading = document.createElement('h4');
+    heading.textContent = 'Hot moments';
+    section.appendChild(heading);
+    
+    const list = document.createElement('ul');
+    for (const moment of moments) {
+      const item = document.createElement('li');
+      
+      const time = this.createButton(
+        'yt-summarize-moment-time',
+        this.momentFinder.formatTime(moment.time),
+        `Jump to ${this.momentFinder.formatTime(moment.time)} in the video`,
+        () => this.seekTo(moment.time)
+      );
+      
+      const label = document.createElement('span');
+      label.className = 'yt-summarize-moment-label';
+      label.textContent = moment.label;
+      
+      const count = document.createElement('span');
+      count.className = 'yt-summarize-moment-count';
+      count.textContent = `${moment.count} comments`;
+      
+      item.appendChild(time);
+      item.appendChild(label);
+      item.appendChild(count);
+      list.appendChild(item);
+    }
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * Returns the player's video element, or null while an ad is playing in it
+   */
+  getMainVideo() {
+    const player = document.querySelector('#movie_player');
+    if (!player || player.classList.contains('ad-showing')) {
+      return null;
+    }
+    return player.querySelector('video');
+  }
+
+  /**
+   * Length of the video in seconds, when the player knows it
+   */
+  getVideoDuration() {
+    const duration = this.getMainVideo()?.duration;
+    return Number.isFinite(duration) && duration > 0 ? duration : null;
+  }
+
+  seekTo(seconds) {
+    const video = this.getMainVideo();
+    if (!video) return;
+    
+    video.currentTime = seconds;
+    document.querySelector('#movie_player')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  /**
+   * Marks the hot moments on the player's progress bar
+   */
+  drawMomentMarkers(moments) {
+    const progressBar = document.querySelector('#movie_player .ytp-progress-bar');
+    const duration = this.getVideoDuration();
+    if (!progressBar || !duration) return;
+    
+    const markers = document.createElement('div');
+    markers.className = 'yt-summarize-moment-markers';
+    for (const moment of moments) {
+      const marker = document.createElement('div');
+      marker.className = 'yt-summarize-moment-marker';
+      marker.style.left = `${Math.min(100, (moment.time / duration) * 100)}%`;
+      markers.appendChild(marker);
+    }
+    progressBar.appendChild(markers);
+  }
+
+  removeMomentMarkers() {
+    document.querySelectorAll('.yt-summarize-moment-markers').forEach(element => element.remove());
+  }
+
+  /**
+   * Reads whether hot moments should be marked on the progress bar
+   */
+  async loadMomentSettings() {
+    try {
+      const { showMomentMarkers } = await browser.storage.local.get('showMomentMarkers');
+      this.showMomentMarkers = showMomentMarkers === true;
+    } catch (error) {
+      console.error('Failed to load moment settings:', error);
+      this.showMomentMarkers = false;
+    }
+  }
+
+  /**
+   * Creates the "Ask about these comments" box; questions and answers are threaded above the input
+   */
+  createChat() {
+    const chat = document.createElement('div');
+    chat.className = 'yt-summarize-chat';
+
+    const thread = document.createElement('div');
+    thread.className = 'yt-summarize-chat-thread';
+    thread.setAttribute('aria-live', 'polite');
+
+    const form = document.createElement('form');
+    form.className = 'yt-summarize-chat-form';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'yt-summarize-chat-input';
+    input.maxLength = 1000;
+    input.placeholder = 'Ask about these comments, e.g. "What do people say about the audio?"';
+    input.setAttribute('aria-label', 'Ask about these comments');
+    // Keep typed keys from reaching YouTube's keyboard shortcuts
+    input.addEventListener('keydown', (e) => e.stopPropagation());
+
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.className = 'yt-summarize-chat-btn';
+    button.textContent = 'Ask';
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.handleAskSubmit(input, button, thread);
+    });
+
+    form.appendChild(input);
+    form.appendChild(button);
+    chat.appendChild(thread);
+    chat.appendChild(form);
+    return chat;
+  }
+
+  /**
+   * Sends a follow-up question about the summarized comments and threads the answer below the summary
+   */
+  async handleAskSubmit(input, button, thread) {
+    const question = input.value.trim();
+    const summaryInput = this.lastSummaryInput;
+    if (!question || !summaryInput || summaryInput.videoId !== this.getVideoId()) return;
+
+    input.value = '';
+    input.disabled = true;
+    button.disabled = true;
+
+    const questionElement = document.createElement('div');
+    questionElement.className = 'yt-summarize-chat-question';
+    questionElement.textContent = question;
+
+    const answerElement = document.createElement('div');
+    answerElement.className = 'yt-summarize-chat-answer';
+    answerElement.textContent = 'Thinking...';
+
+    thread.appendChild(questionElement);
+    thread.appendChild(answerElement);
+
+    // Tracked like a summary, so navigating away or starting a new summary aborts the provider call
+    const request = this.beginRequest();
+    try {
+      const { answer, provider } = await new Promise((resolve, reject) => {
+        request.onCancel = () => reject(this.createCancelError());
+        Protocol.send(MessageTypes.ASK, {
+          videoId: summaryInput.videoId,
+          question,
+          comments: summaryInput.comments
+        }, request.id).then(resolve, reject);
+      });
+      answerElement.replaceChildren(this.markdownRenderer.render(answer));
+      answerElement.title = `Answered by ${provider}`;
+    } catch (error) {
+      if (this.isCancelError(error)) {
+        answerElement.textContent = 'Question cancelled.';
+      } else {
+        console.error('Error in ask handler:', error);
+        answerElement.textContent = error.message;
+      }
+      answerElement.setAttribute('data-error', 'true');
+    } finally {
+      this.endRequest(request);
+      input.disabled = false;
+      button.disabled = false;
+      input.focus();
+    }
+  }
+
+  /**
+   * Loads the custom section markers saved on the options page, after the built-in ones
+   */
+  async loadSectionMarkers() {
+    try {
+      const { sectionMarkers } = await browser.storage.local.get('sectionMarkers');
+      const custom = Array.isArray(sectionMarkers)
+        ? sectionMarkers.filter(marker => typeof marker?.name === 'string' && marker.name.trim())
+        : [];
+      this.sectionMarkers = [...this.defaultSectionMarkers, ...custom];
+    } catch (error) {
+      console.error('Failed to load section markers:', error);
+      this.sectionMarkers = this.defaultSectionMarkers;
+    }
+  }
+
+  /**
+   * Renders summary text as section cards when it uses the section markers, otherwise as plain Markdown
+   */
+  renderSummaryText(text) {
+    const parsed = this.parseSections(text);
+    if (!parsed) {
+      return this.markdownRenderer.render(text);
+    }
+
+    const container = document.createElement('div');
+    container.className = 'yt-summarize-sections';
+    if (parsed.preamble) {
+      container.appendChild(this.markdownRenderer.render(parsed.preamble));
+    }
+    parsed.sections.forEach(section => {
+      container.appendChild(this.createSectionCard(section));
+    });
+    return container;
+  }
+
+  /**
+   * Splits text at section markers such as "[POSITIVE SUMMARY]:", also accepting them bolded or as headings.
+   * Returns null when no marker is found, so the text is shown as is.
+   */
+  parseSections(text) {
+    const markers = new Map(this.sectionMarkers.map(marker => [marker.name.trim().replace(/\s+/g, ' ').toUpperCase(), marker]));
+    const names = [...markers.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '[ \\t]+'))
+      .join('|');
+    if (!names) return null;
+
+    // A marker starts a line and is bracketed or followed by a colon, so the words alone in a sentence do not count
+    const pattern = new RegExp(`^[ \\t]*(?:#{1,6}[ \\t]+)?(?:\\*\\*|__)?[ \\t]*(?:\\[(${names})\\]|(${names})(?=[ \\t]*(?:\\*\\*|__)?[ \\t]*(?::|$)))[ \\t]*(?:\\*\\*|__)?[ \\t]*:?[ \\t]*(?:\\*\\*|__)?[ \\t]*`, 'gim');
+
+    const matches = [...text.matchAll(pattern)];
+    if (matches.length === 0) return null;
+
+    const sections = matches.map((match, i) => {
+      const name = (match[1] || match[2]).replace(/\s+/g, ' ').toUpperCase();
+      const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+      return {
+        title: this.formatSectionTitle(name),
+        tone: markers.get(name)?.tone || 'neutral',
+        body: text.slice(match.index + match[0].length, end).trim()
+      };
+    });
+
+    return { preamble: text.slice(0, matches[0].index).trim(), sections };
+  }
+
+  formatSectionTitle(name) {
+    return name.toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+  }
+
+  /**
+   * Creates a collapsible card for one section, accented by its tone
+   */
+  createSectionCard(section) {
+    const card = document.createElement('details');
+    card.className = `yt-summarize-section yt-summarize-section-${section.tone}`;
+    card.open = true;
+
+    const heading = document.createElement('summary');
+    heading.textContent = section.title;
+    card.appendChild(heading);
+    card.appendChild(this.markdownRenderer.render(section.body));
+    return card;
+  }
+
+  /**
+   * One-line breakdown of the languages the summarized comments were written in, e.g. "English 70% · Spanish 20% · Other 10%"
+   */
+  createLanguageBreakdown(languages) {
+    let names;
+    try {
+      names = new Intl.DisplayNames(['en'], { type: 'language' });
+    } catch (error) {
+      names = null;
+    }
+
+    const shown = languages.slice(0, 3);
+    const parts = shown.map(({ language, share }) => `${names?.of(language) || language} ${Math.round(share * 100)}%`);
+    const otherShare = languages.slice(3).reduce((total, { share }) => total + share, 0);
+    if (otherShare > 0) {
+      parts.push(`Other ${Math.round(otherShare * 100)}%`);
+    }
+
+    const line = document.createElement('div');
+    line.className = 'yt-summarize-languages';
+    line.textContent = `Comment languages: ${parts.join(' · ')}`;
+    return line;
+  }
+
+  /**
+   * Notes how many comments were left out of the summary because they looked like prompt-injection attempts
+   */
+  createQuarantineNotice(count) {
+    const notice = document.createElement('div');
+    notice.className = 'yt-summarize-quarantine';
+    notice.setAttribute('role', 'note');
+    notice.textContent = `${count} suspicious comment${count === 1 ? '' : 's'} excluded`;
+    notice.title = 'These comments contained text that tried to give instructions to the AI, so they were not sent to the provider.';
+    return notice;
+  }
+
+  /**
+   * Notes how many comments the local filter removed as spam or emoji-only, or folded into copies of the same text
+   */
+  createFilterNotice({ spam = 0, emojiOnly = 0, duplicates = 0 }) {
+    const parts = [];
+    if (spam > 0) {
+      parts.push(`${spam} spam`);
+    }
+    if (emojiOnly > 0) {
+      parts.push(`${emojiOnly} emoji-only`);
+    }
+    if (duplicates > 0) {
+      parts.push(`${duplicates} duplicate${duplicates === 1 ? '' : 's'}`);
+    }
+    
+    const notice = document.createElement('div');
+    notice.className = 'yt-summarize-filtered';
+    notice.setAttribute('role', 'note');
+    notice.textContent = `Filtered: ${parts.join(' · ')}`;
+    notice.title = 'Spam (scam replies and link spam) and comments without any words were left out. Copy-pasted comments were summarized once, with their number of copies.';
+    return notice;
+  }
+
+  /**
+   * Renders a structured analysis as an overview, a sentiment gauge and sections for themes, quotes and questions
+   */
+  renderAnalysis(analysis) {
+    const container = document.createElement('div');
+    container.className = 'yt-summarize-analysis';
+    
+    const overview = document.createElement('p');
+    overview.className = 'yt-summarize-overview';
+    overview.textContent = analysis.overview;
+    container.appendChild(overview);
+    
+    container.appendChild(this.createSentimentGauge(analysis.sentiment));
+    
+    if (analysis.themes.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'yt-summarize-themes';
+      analysis.themes.forEach(theme => {
+        const item = document.createElement('li');
+        
+        const header = document.createElement('div');
+        header.className = 'yt-summarize-theme-header';
+        const name = document.createElement('strong');
+        name.textContent = theme.title;
+        header.appendChild(name);
+        header.appendChild(this.createChip(theme.sentiment, `yt-summarize-chip-${theme.sentiment}`));
+        header.appendChild(this.createChip(`${theme.prevalence} prevalence`, 'yt-summarize-chip-prevalence'));
+        
+        const text = document.createElement('div');
+        text.textContent = theme.summary;
+        
+        item.appendChild(header);
+        item.appendChild(text);
+        list.appendChild(item);
+      });
+      container.appendChild(this.createAnalysisSection('Themes', list));
+    }
+    
+    if (analysis.quotes.length > 0) {
+      const quotes = document.createElement('div');
+      analysis.quotes.forEach(quote => {
+        const blockquote = document.createElement('blockquote');
+        blockquote.className = 'yt-summarize-quote';
+        blockquote.textContent = quote;
+        quotes.appendChild(blockquote);
+      });
+      container.appendChild(this.createAnalysisSection('Notable Comments', quotes));
+    }
+    
+    if (analysis.questions.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'yt-summarize-questions';
+      analysis.questions.forEach(question => {
+        const item = document.createElement('li');
+        item.textContent = question;
+        list.appendChild(item);
+      });
+      container.appendChild(this.createAnalysisSection('Viewer Questions', list));
+    }
+    
+    return container;
+  }
+
+  createAnalysisSection(heading, body) {
+    const section = document.createElement('section');
+    section.className = 'yt-summarize-section';
+    const title = document.createElement('h4');
+    title.textContent = heading;
+    section.appendChild(title);
+    section.appendChild(body);
+    return section;
+  }
+
+  createChip(text, modifierClass) {
+    const chip = document.createElement('span');
+    chip.className = `yt-summarize-chip ${modifierClass}`;
+    chip.textContent = text;
+    return chip;
+  }
+
+  /**
+   * Creates a horizontal gauge placing the sentiment score between negative (-1) and positive (1)
+   */
+  createSentimentGauge(sentiment) {
+    const gauge = document.createElement('div');
+    gauge.className = 'yt-summarize-gauge';
+    
+    const label = document.createElement('div');
+    label.className = 'yt-summarize-gauge-label';
+    const score = sentiment.score > 0 ? `+${sentiment.score.toFixed(2)}` : sentiment.score.toFixed(2);
+    label.textContent = `Sentiment: ${sentiment.label} (${score})`;
+    
+    const track = document.createElement('div');
+    track.className = 'yt-summarize-gauge-track';
+    track.setAttribute('role', 'meter');
+    track.setAttribute('aria-valuemin', '-1');
+    track.setAttribute('aria-valuemax', '1');
+    track.setAttribute('aria-valuenow', String(sentiment.score));
+    track.setAttribute('aria-label', label.textContent);
+    
+    const marker = document.createElement('div');
+    marker.className = 'yt-summarize-gauge-marker';
+    marker.style.left = `${((sentiment.score + 1) / 2) * 100}%`;
+    track.appendChild(marker);
+    
+    gauge.appendChild(label);
+    gauge.appendChild(track);
+    return gauge;
+  }
+
+  /**
+   * Creates a line counting down until the rate limit allows another request
+   */
+  createRetryCountdown(retryAt) {
+    const countdown = document.createElement('div');
+    countdown.className = 'yt-summarize-retry';
+    
+    const update = () => {
+      const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+      if (seconds > 0) {
+        countdown.textContent = `You can try again in ${seconds} s.`;
+      } else {
+        countdown.textContent = 'You can try again now.';
+        this.clearRetryCountdown();
+      }
+    };
+    
+    this.clearRetryCountdown();
+    this.retryCountdownId = setInterval(update, 1000);
+    update();
+    return countdown;
+  }
+
+  clearRetryCountdown() {
+    if (this.retryCountdownId) {
+      clearInterval(this.retryCountdownId);
+      this.retryCountdownId = null;
+    }
+  }
+
+  /**
+   * Describes how long ago a timestamp was, e.g. "5 min ago"
+   */
+  formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    return `${Math.floor(minutes / 60)} h ago`;
+  }
+
+  /**
+   * Shows a summary that is still streaming in, updating the existing box in place
+   */
+  renderPartialSummary(text, commentCount) {
+    const summaryBox = document.getElementById('yt-summarize-summary');
+    const content = summaryBox?.querySelector('.yt-summarize-content');
+
+    if (summaryBox && content && summaryBox.dataset.streaming === 'true') {
+      content.replaceChildren(this.renderSummaryText(text));
+      return;
+    }
+
+    this.showSummary(text, commentCount, false);
+    const newBox = document.getElementById('yt-summarize-summary');
+    if (newBox) {
+      newBox.dataset.streaming = 'true';
+      newBox.appendChild(this.createCancelButton());
+    }
+  }
+
   /**
    * Shows temporary loading message
    */
@@ -519,6 +1684,8 @@ class ContentScriptController {
    * Removes summary box
    */
   removeSummaryBox() {
+    this.clearRetryCountdown();
+    
     const elements = [
       'yt-summarize-summary',
       'yt-summarize-loading',
@@ -553,7 +1720,11 @@ class ContentScriptController {
    */
   handleNavigation() {
     this.isInitialized = false;
+    this.cancelActiveRequest();
+    this.lastSummaryInput = null;
+    this.commentLanguages.clear();
     this.removeSummaryBox();
+    this.removeMomentMarkers();
     
     // Clear any ongoing operations
     this.setButtonProcessingState(false);
@@ -716,6 +1887,993 @@ class NavigationHandler {
   }
 }
 
+/**
+ * Loads comments through the internal API the YouTube page itself uses (youtubei/v1/next),
+ * paging through comment and reply continuations instead of scrolling the page
+ */
+class CommentApiLoader {
+  constructor({ parseCount, createComment, getCommentKey, sleep }) {
+    this.parseCount = parseCount;
+    this.createComment = createComment;
+    this.getCommentKey = getCommentKey;
+    this.sleep = sleep; // Throws once the request is cancelled
+    this.requestTimeout = 15000;
+    this.maxRequests = 200;
+  }
+
+  /**
+   * Loads up to maxComments comments of the video in YouTube's default order, or fewer once
+   * shouldStop returns true. Replies are loaded right after their thread, down to replyDepth levels,
+   * so threads are complete before the next page. When a page fails after some comments have loaded,
+   * those comments are returned; aborting the signal cancels the request in flight.
+   */
+  async load(videoId, { maxComments = 5000, replyDepth = 1, signal, shouldStop, onProgress } = {}) {
+    const config = this.getClientConfig();
+    let token = this.findCommentsToken(this.getInitialContents(videoId));
+    if (!token) {
+      const data = await this.request(config, { videoId }, signal);
+      token = this.findCommentsToken(data?.contents?.twoColumnWatchNextResults?.results?.results?.contents);
+    }
+    if (!token) {
+      throw new Error('Comment continuation not found');
+    }
+
+    const comments = [];
+    const seenComments = new Set();
+    const tasks = [{ token, depth: 0, threadId: '' }];
+    let requests = 0;
+
+    while (tasks.length > 0 && comments.length < maxComments && requests < this.maxRequests &&
+        !(typeof shouldStop === 'function' && shouldStop(comments.length))) {
+      if (requests > 0) {
+        await this.sleep(100 + Math.random() * 100);
+      }
+      const task = tasks.shift();
+      let data;
+      try {
+        data = await this.request(config, { continuation: task.token }, signal);
+      } catch (error) {
+        if (signal?.aborted || comments.length === 0) {
+          throw error;
+        }
+        console.warn(`Comment API request failed, keeping the ${comments.length} comments loaded so far:`, error);
+        break;
+      }
+      const page = this.parsePage(data, task, replyDepth);
+      requests++;
+
+      for (const comment of page.comments) {
+        if (!seenComments.has(this.getCommentKey(comment))) {
+          seenComments.add(this.getCommentKey(comment));
+          comments.push(comment);
+        }
+      }
+      tasks.unshift(...page.continuations.filter(next => next.depth > 0));
+      tasks.push(...page.continuations.filter(next => next.depth === 0));
+
+      if (typeof onProgress === 'function') {
+        onProgress(comments.length);
+      }
+    }
+
+    return comments.slice(0, maxComments);
+  }
+
+  async request(config, body, signal) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) {
+      controller.abort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+    const key = config.apiKey ? `&key=${encodeURIComponent(config.apiKey)}` : '';
+
+    try {
+      const response = await fetch(`${window.location.origin}/youtubei/v1/next?prettyPrint=false${key}`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-YouTube-Client-Name': '1',
+          'X-YouTube-Client-Version': config.clientVersion
+        },
+        body: JSON.stringify({ context: config.context, ...body })
+      });
+      if (!response.ok) {
+        throw new Error(`Comment API request failed with status ${response.status}`);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * API key and client context of the page's own API calls
+   */
+  getClientConfig() {
+    const ytcfg = this.readPageValue(page => page.ytcfg?.data_) || {};
+    let apiKey = ytcfg.INNERTUBE_API_KEY;
+    let clientVersion = ytcfg.INNERTUBE_CLIENT_VERSION || ytcfg.INNERTUBE_CONTEXT?.client?.clientVersion;
+
+    if (!clientVersion) {
+      // The page's inline ytcfg.set() call carries the same values
+      const source = [...document.querySelectorAll('script:not([src])')]
+        .map(script => script.textContent)
+        .find(text => text.includes('INNERTUBE_CLIENT_VERSION')) || '';
+      apiKey = apiKey || source.match(/"INNERTUBE_API_KEY":"([^"]+)"/)?.[1];
+      clientVersion = source.match(/"INNERTUBE_CLIENT_VERSION":"([^"]+)"/)?.[1];
+    }
+    if (!clientVersion) {
+      throw new Error('YouTube client configuration not found');
+    }
+
+    const context = ytcfg.INNERTUBE_CONTEXT || {
+      client: { clientName: 'WEB', clientVersion, hl: document.documentElement.lang || 'en' }
+    };
+    return { apiKey, clientVersion, context };
+  }
+
+  /**
+   * Watch page sections from the page's ytInitialData, when they are for this video.
+   * ytInitialData isn't updated by in-page navigation, so after it the API is asked instead.
+   */
+  getInitialContents(videoId) {
+    const initial = this.readPageValue(page => ({
+      videoId: page.ytInitialData?.currentVideoEndpoint?.watchEndpoint?.videoId,
+      contents: page.ytInitialData?.contents?.twoColumnWatchNextResults?.results?.results?.contents
+    }));
+    return initial?.videoId === videoId ? initial.contents : null;
+  }
+
+  /**
+   * Copies a value out of the page's scripts, which Firefox exposes to content scripts through wrappedJSObject
+   */
+  readPageValue(read) {
+    try {
+      const value = read(window.wrappedJSObject || window);
+      return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  findCommentsToken(sections) {
+    for (const section of sections || []) {
+      const renderer = section.itemSectionRenderer;
+      if (renderer?.sectionIdentifier === 'comment-item-section') {
+        return this.getContinuationToken(renderer.contents?.find(item => item.continuationItemRenderer));
+      }
+    }
+    return null;
+  }
+
+  getContinuationToken(item) {
+    const renderer = item?.continuationItemRenderer;
+    return renderer?.continuationEndpoint?.continuationCommand?.token ||
+      renderer?.button?.buttonRenderer?.command?.continuationCommand?.token ||
+      null;
+  }
+
+  /**
+   * Comments of one response, plus the continuations it links to: the next page at the same
+   * depth, and the replies of each thread while they are within replyDepth
+   */
+  parsePage(data, task, replyDepth) {
+    // Newer responses keep comment details in entities, referenced by key from the view models.
+    // Each payload wraps its entity in a key named for its type, such as commentEntityPayload.
+    const entities = new Map();
+    for (const mutation of data?.frameworkUpdates?.entityBatchUpdate?.mutations || []) {
+      const entity = mutation.payload && Object.values(mutation.payload)[0];
+      if (mutation.entityKey && entity) {
+        entities.set(mutation.entityKey, entity);
+      }
+    }
+
+    const items = (data?.onResponseReceivedEndpoints || []).flatMap(endpoint =>
+      endpoint.reloadContinuationItemsCommand?.continuationItems ||
+      endpoint.appendContinuationItemsAction?.continuationItems ||
+      []
+    );
+
+    const comments = [];
+    const continuations = [];
+    for (const item of items) {
+      if (item.commentThreadRenderer) {
+        const thread = item.commentThreadRenderer;
+        const comment = this.parseComment(thread.commentViewModel?.commentViewModel || thread.comment?.commentRenderer, entities, task);
+        if (!comment) continue;
+        if (thread.renderingPriority === 'RENDERING_PRIORITY_PINNED_COMMENT') {
+          comment.pinned = true;
+        }
+        comments.push(comment);
+
+        const replies = thread.replies?.commentRepliesRenderer;
+        const token = this.getContinuationToken(replies?.contents?.find(content => content.continuationItemRenderer)) ||
+          replies?.viewReplies?.buttonRenderer?.command?.continuationCommand?.token;
+        if (token && task.depth < replyDepth) {
+          continuations.push({ token, depth: task.depth + 1, threadId: comment.threadId });
+        }
+      } else if (item.commentViewModel || item.commentRenderer) {
+        const comment = this.parseComment(item.commentViewModel?.commentViewModel || item.commentViewModel || item.commentRenderer, entities, task);
+        if (comment) {
+          comments.push(comment);
+        }
+      } else if (item.continuationItemRenderer) {
+        const token = this.getContinuationToken(item);
+        if (token) {
+          continuations.push({ token, depth: task.depth, threadId: task.threadId });
+        }
+      }
+    }
+
+    return { comments, continuations };
+  }
+
+  /**
+   * Builds the comment model from a comment view model and its entities, or from an older comment renderer
+   */
+  parseComment(source, entities, { depth, threadId }) {
+    if (!source) {
+      return null;
+    }
+
+    let fields;
+    if (source.commentKey) {
+      const entity = entities.get(source.commentKey);
+      if (!entity) {
+        return null;
+      }
+      fields = {
+        id: entity.properties?.commentId || source.commentId,
+        text: entity.properties?.content?.content,
+        author: entity.author?.displayName,
+        likes: entity.toolbar?.likeCountNotliked,
+        publishedTime: entity.properties?.publishedTime,
+        replyCount: entity.toolbar?.replyCount,
+        pinned: Boolean(source.pinnedText),
+        hearted: entities.get(source.toolbarStateKey || entity.properties?.toolbarStateKey)?.heartState === 'TOOLBAR_HEART_STATE_HEARTED',
+        byCreator: entity.author?.isCreator === true
+      };
+    } else {
+      const getText = (text) => text?.simpleText ?? (text?.runs || []).map(run => run.text).join('');
+      fields = {
+        id: source.commentId,
+        text: getText(source.contentText),
+        author: getText(source.authorText),
+        likes: getText(source.voteCount),
+        publishedTime: getText(source.publishedTimeText),
+        replyCount: source.replyCount,
+        pinned: Boolean(source.pinnedCommentBadge),
+        hearted: Boolean(source.actionButtons?.commentActionButtonsRenderer?.creatorHeart?.creatorHeartRenderer?.isHearted),
+        byCreator: Boolean(source.authorIsChannelOwner)
+      };
+    }
+
+    const text = (fields.text || '').trim();
+    if (!text) {
+      return null;
+    }
+    return {
+      ...this.createComment(text),
+      author: (fields.author || '').trim().slice(0, 100),
+      likes: this.parseCount(String(fields.likes ?? '')),
+      publishedTime: (fields.publishedTime || '').trim().slice(0, 50),
+      replyCount: this.parseCount(String(fields.replyCount ?? '')),
+      pinned: fields.pinned,
+      hearted: fields.hearted,
+      byCreator: fields.byCreator,
+      isReply: depth > 0,
+      // A thread is named after its first comment
+      threadId: (threadId || fields.id || '').slice(0, 64),
+      depth
+    };
+  }
+}
+
+/**
+ * Local clean-up before summarizing: drops link spam, scam replies and comments without any words,
+ * and folds near-identical comments (copypasta) into one entry that records its number of copies.
+ * Near-duplicates are comments whose text shingles mostly overlap (Jaccard similarity); MinHash
+ * signatures bucketed by band (LSH) pick the candidates, so each comment is only compared with likely matches.
+ */
+class CommentFilter {
+  constructor() {
+    this.linkPattern = /\bhttps?:\/\/\S+|\bwww\.\S+|\b[\w-]+(?:\.[\w-]+)*\.(?:com|net|org|io|co|ly|me|gg|xyz|site|online|shop|link|info|biz|top|live|app)\/\S*/gi;
+    this.youtubeLinkPattern = /(?:^|[/.])(?:youtube\.com|youtu\.be)\b/i;
+    this.scamLinkPattern = /\b(?:t\.me|wa\.me|bit\.ly|tinyurl\.com|telegram\.me|chat\.whatsapp\.com)\b/i;
+    // Ways to reach the scammer off YouTube: messaging apps, direct messages and phone numbers
+    this.contactPatterns = [
+      /\b(?:whats\s?app|telegram|signal app|text (?:him|her|me)|dm (?:him|her|me)|contact (?:him|her|me))\b/i,
+      /\+\d[\d\s().-]{8,}\d/
+    ];
+    // Each pattern is one sign of a scam. On their own these are ordinary words on finance videos,
+    // so they only count next to a contact route or a link.
+    this.scamPatterns = [
+      /\b(?:invest(?:ed|ing|ment)?|crypto(?:currency)?|bitcoin|btc|forex|trading|portfolio|passive income)\b/i,
+      /\b(?:mentor|expert|coach|broker|financial advis[eo]r|account manager)\b/i,
+      /\b(?:thanks to|recommend(?:ed)?|helped me|changed my life)\b/i,
+      /\b(?:made|earn(?:ed|ing)?|profit(?:ed)?|withdr[ae]w)\s+(?:over\s+|about\s+)?\$\s?\d/i,
+      /\b(?:check (?:out )?my (?:channel|profile)|free (?:v-?bucks|robux|gift cards?)|you(?:'ve| have) (?:been selected|won))\b/i
+    ];
+    this.hashCount = 32;
+    this.bandSize = 4; // 8 bands of 4 hashes: comments sharing a band are compared
+    this.similarityThreshold = 0.7;
+    this.seeds = Array.from({ length: this.hashCount }, (_, i) => Math.imul(i + 1, 0x9e3779b1) >>> 0);
+  }
+
+  /**
+   * Returns the comments worth summarizing and counts of what was left out
+   */
+  filter(comments) {
+    const filtered = { spam: 0, emojiOnly: 0, duplicates: 0 };
+    const kept = [];
+    for (const comment of comments) {
+      if (this.isEmojiOnly(comment.text)) {
+        filtered.emojiOnly++;
+      } else if (this.isSpam(comment.text)) {
+        filtered.spam++;
+      } else {
+        kept.push(comment);
+      }
+    }
+
+    const collapsed = this.collapseDuplicates(kept);
+    filtered.duplicates = kept.length - collapsed.length;
+    return { comments: collapsed, filtered };
+  }
+
+  isEmojiOnly(text) {
+    return !/[\p{L}\p{N}]/u.test(text);
+  }
+
+  isSpam(text) {
+    const links = (text.match(this.linkPattern) || []).filter(link => !this.youtubeLinkPattern.test(link));
+    if (links.length >= 2 || this.scamLinkPattern.test(text)) {
+      return true;
+    }
+    const contacts = this.contactPatterns.filter(pattern => pattern.test(text)).length;
+    const signs = this.scamPatterns.filter(pattern => pattern.test(text)).length;
+    return (contacts > 0 && contacts + signs >= 2) || (links.length > 0 && contacts + signs >= 1);
+  }
+
+  /**
+   * Keeps one comment per group of near-identical top-level comments: the most liked one, at its own
+   * position, with copies set to the group's size. Replies are left as they are, and so are comments
+   * whose replies were loaded, so no thread loses a member or its start.
+   */
+  collapseDuplicates(comments) {
+    const groups = [];
+    const buckets = new Map(); // Band key -> groups with a member in that bucket
+    const repliedThreads = new Set(comments.filter(comment => comment.isReply && comment.threadId).map(comment => comment.threadId));
+
+    for (const comment of comments) {
+      if (comment.isReply || repliedThreads.has(comment.threadId)) {
+        continue;
+      }
+      const shingles = this.getShingles(comment.text);
+      const signature = this.getSignature(shingles);
+      const bandKeys = [];
+      for (let start = 0; start < this.hashCount; start += this.bandSize) {
+        bandKeys.push(`${start}:${signature.slice(start, start + this.bandSize).join(',')}`);
+      }
+
+      const candidates = new Set(bandKeys.flatMap(key => buckets.get(key) || []));
+      const group = [...candidates].find(candidate => this.getSimilarity(candidate.shingles, shingles) >= this.similarityThreshold);
+      if (group) {
+        group.members.push(comment);
+      } else {
+        const newGroup = { shingles, members: [comment] };
+        groups.push(newGroup);
+        for (const key of bandKeys) {
+          if (!buckets.has(key)) {
+            buckets.set(key, []);
+          }
+          buckets.get(key).push(newGroup);
+        }
+      }
+    }
+
+    const copies = new Map(); // Most liked member of each group -> the group's size
+    const dropped = new Set();
+    for (const { members } of groups) {
+      if (members.length === 1) continue;
+      const best = members.reduce((a, b) => ((b.likes || 0) > (a.likes || 0) ? b : a));
+      copies.set(best, members.length);
+      members.filter(member => member !== best).forEach(member => dropped.add(member));
+    }
+
+    return comments
+      .filter(comment => !dropped.has(comment))
+      .map(comment => (copies.has(comment) ? { ...comment, copies: copies.get(comment) } : comment));
+  }
+
+  /**
+   * Word triples for longer texts, 4-character pieces for short ones, after lowercasing and dropping punctuation
+   */
+  getShingles(text) {
+    const normalized = text.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    const words = normalized.split(' ');
+    const shingles = new Set();
+    if (words.length >= 8) {
+      for (let i = 0; i + 3 <= words.length; i++) {
+        shingles.add(words.slice(i, i + 3).join(' '));
+      }
+    } else if (normalized.length <= 4) {
+      shingles.add(normalized);
+    } else {
+      for (let i = 0; i + 4 <= normalized.length; i++) {
+        shingles.add(normalized.slice(i, i + 4));
+      }
+    }
+    return shingles;
+  }
+
+  /**
+   * MinHash signature: for each hash function, the smallest hash of any shingle
+   */
+  getSignature(shingles) {
+    const signature = new Array(this.hashCount).fill(0xffffffff);
+    for (const shingle of shingles) {
+      const hash = this.hashString(shingle);
+      for (let i = 0; i < this.hashCount; i++) {
+        const value = this.mix(hash, this.seeds[i]);
+        if (value < signature[i]) {
+          signature[i] = value;
+        }
+      }
+    }
+    return signature;
+  }
+
+  /**
+   * Jaccard similarity of two shingle sets
+   */
+  getSimilarity(a, b) {
+    let shared = 0;
+    for (const shingle of a) {
+      if (b.has(shingle)) {
+        shared++;
+      }
+    }
+    return shared / (a.size + b.size - shared);
+  }
+
+  // FNV-1a
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Seeded 32-bit finalizer (MurmurHash3's), one per MinHash function
+  mix(hash, seed) {
+    let value = hash ^ seed;
+    value ^= value >>> 16;
+    value = Math.imul(value, 0x85ebca6b);
+    value ^= value >>> 13;
+    value = Math.imul(value, 0xc2b2ae35);
+    value ^= value >>> 16;
+    return value >>> 0;
+  }
+}
+
+/**
+ * Finds the moments of the video that comments talk about, from timestamps like "3:45" or "1:02:30"
+ * in their text. Mentions a few seconds apart count as one moment, labeled with the words its comments share.
+ */
+class MomentFinder {
+  constructor(stopwords = {}) {
+    // h:mm:ss or m:ss, but not clock times such as "5:30 pm"
+    this.timestampPattern = /(?<![\d:])(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?![\d:])(?!\s?[ap]\.?m\b)/gi;
+    this.windowSeconds = 10;
+    this.minComments = 2;
+    this.maxMoments = 8;
+    const extra = 'when where how who why all about from here there his her its our your their has had were will would can could did does like just really so very too lol lmao haha omg part video moment min sec time this that then than them also get got one';
+    this.stopwords = new Set([...Object.values(stopwords).flatMap(set => [...set]), ...extra.split(' ')]);
+  }
+
+  /**
+   * Up to maxMoments moments mentioned by at least minComments comments, most mentioned kept,
+   * in video order: [{ time, count, label }]. Times past the video's end are ignored, and a comment
+   * folded from copy-pasted ones counts once per copy.
+   */
+  find(comments, duration = null) {
+    const mentions = [];
+    for (const comment of comments) {
+      const times = new Set(this.parseTimestamps(comment.text).filter(time => !duration || time <= duration));
+      for (const time of times) {
+        mentions.push({ time, comment });
+      }
+    }
+    mentions.sort((a, b) => a.time - b.time);
+
+    // Group mentions that fall within a few seconds of the group's first one
+    const groups = [];
+    for (const mention of mentions) {
+      const group = groups[groups.length - 1];
+      if (group && mention.time - group[0].time <= this.windowSeconds) {
+        group.push(mention);
+      } else {
+        groups.push([mention]);
+      }
+    }
+
+    return groups
+      .map(group => ({ group, count: [...new Set(group.map(mention => mention.comment))].reduce((sum, comment) => sum + (comment.copies || 1), 0) }))
+      .filter(({ count }) => count >= this.minComments)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, this.maxMoments)
+      .map(({ group, count }) => ({ time: this.getMostMentionedTime(group), count, label: this.getLabel(group) }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  parseTimestamps(text) {
+    const times = [];
+    for (const match of text.matchAll(this.timestampPattern)) {
+      const hours = match[1] ? parseInt(match[1], 10) : 0;
+      const minutes = parseInt(match[2], 10);
+      const seconds = parseInt(match[3], 10);
+      if (seconds < 60 && (!match[1] || minutes < 60)) {
+        times.push(hours * 3600 + minutes * 60 + seconds);
+      }
+    }
+    return times;
+  }
+
+  getMostMentionedTime(group) {
+    const counts = new Map();
+    for (const { time, comment } of group) {
+      counts.set(time, (counts.get(time) || 0) + (comment.copies || 1));
+    }
+    // Ties go to the earliest time
+    return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+  }
+
+  /**
+   * Words used by more than one of the moment's comments, or else the most liked comment, shortened
+   */
+  getLabel(group) {
+    const comments = [...new Set(group.map(mention => mention.comment))];
+    const counts = new Map();
+    for (const comment of comments) {
+      const words = new Set(comment.text.replace(this.timestampPattern, ' ').toLowerCase().match(/\p{L}{3,}/gu) || []);
+      for (const word of words) {
+        if (!this.stopwords.has(word)) {
+          counts.set(word, (counts.get(word) || 0) + 1);
+        }
+      }
+    }
+
+    const keywords = [...counts.entries()]
+      .filter(([, count]) => count >= 2)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([word]) => word);
+    if (keywords.length > 0) {
+      return keywords.join(', ');
+    }
+
+    const best = comments.reduce((a, b) => ((b.likes || 0) > (a.likes || 0) ? b : a));
+    const text = best.text.replace(this.timestampPattern, '').replace(/\s+/g, ' ').trim();
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
+  formatTime(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+  }
+}
+
+/**
+ * Orders comments by engagement or age, so that when more comments are collected than can be sent,
+ * the ones kept are the most useful. Comments first go to the model in this order too.
+ */
+class CommentRanker {
+  constructor() {
+    // Strategy -> how it is described in the summary header
+    this.strategies = {
+      'top-liked': 'most liked first',
+      'most-replied': 'most replied first',
+      chronological: 'newest first',
+      random: 'random sample'
+    };
+    this.defaultStrategy = 'top-liked';
+    this.ageUnits = { second: 1, minute: 60, hour: 3600, day: 86400, week: 604800, month: 2592000, year: 31536000 };
+  }
+
+  isStrategy(strategy) {
+    return Object.prototype.hasOwnProperty.call(this.strategies, strategy);
+  }
+
+  getLabel(strategy) {
+    return this.strategies[this.isStrategy(strategy) ? strategy : this.defaultStrategy];
+  }
+
+  /**
+   * Returns up to `limit` comments in the strategy's order. Ties keep page order, and replies
+   * kept are moved next to the rest of their thread.
+   */
+  rank(comments, strategy, limit = comments.length) {
+    let ranked;
+    switch (this.isStrategy(strategy) ? strategy : this.defaultStrategy) {
+      case 'most-replied':
+        ranked = this.sortDescending(comments, comment => comment.replyCount || 0, comment => comment.likes || 0).slice(0, limit);
+        break;
+      case 'chronological':
+        ranked = this.sortDescending(comments, comment => -this.parseAge(comment.publishedTime)).slice(0, limit);
+        break;
+      case 'random':
+        ranked = this.sample(comments, limit);
+        break;
+      default:
+        ranked = this.sortDescending(comments, comment => comment.likes || 0, comment => comment.replyCount || 0).slice(0, limit);
+    }
+    return this.groupThreads(comments, ranked);
+  }
+
+  /**
+   * Threads appear where their best-ranked comment is, with the thread's comments in page order
+   * so that each reply follows what it answers
+   */
+  groupThreads(comments, ranked) {
+    const pagePosition = new Map(comments.map((comment, i) => [comment, i]));
+    const threads = new Map();
+    for (const comment of ranked) {
+      // Comments outside a thread stand alone
+      const key = comment.threadId || comment;
+      if (!threads.has(key)) {
+        threads.set(key, []);
+      }
+      threads.get(key).push(comment);
+    }
+    return [...threads.values()].flatMap(thread => thread.sort((a, b) => pagePosition.get(a) - pagePosition.get(b)));
+  }
+
+  sortDescending(comments, ...keys) {
+    return [...comments].sort((a, b) => {
+      for (const key of keys) {
+        const difference = key(b) - key(a);
+        if (difference !== 0) {
+          return difference;
+        }
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Random subset in page order; all comments, unshuffled, when they fit
+   */
+  sample(comments, limit) {
+    if (comments.length <= limit) {
+      return [...comments];
+    }
+    const indices = comments.map((comment, i) => i);
+    for (let i = 0; i < limit; i++) {
+      const j = i + Math.floor(Math.random() * (indices.length - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, limit).sort((a, b) => a - b).map(i => comments[i]);
+  }
+
+  /**
+   * Age in seconds of a relative time like "3 days ago"; unknown ages sort as oldest
+   */
+  parseAge(publishedTime) {
+    const match = (publishedTime || '').match(/(\d+)\s*(second|minute|hour|day|week|month|year)/i);
+    if (!match) {
+      return Number.MAX_SAFE_INTEGER;
+    }
+    return parseInt(match[1], 10) * this.ageUnits[match[2].toLowerCase()];
+  }
+}
+
+/**
+ * Guesses the language of a comment from its script, or for Latin-script text from common words.
+ * Good enough to tell which languages dominate a comment section, not to label single short comments.
+ */
+class LanguageDetector {
+  constructor() {
+    // Scripts that point to one language; kana is checked before Han so Japanese is not taken for Chinese
+    this.scripts = [
+      { language: 'ja', pattern: /[\u3040-\u30ff]/gu },
+      { language: 'ko', pattern: /[\u1100-\u11ff\uac00-\ud7af]/gu },
+      { language: 'zh', pattern: /[\u4e00-\u9fff]/gu },
+      { language: 'uk', pattern: /[\u0456\u0457\u0454\u0491]/giu },
+      { language: 'ru', pattern: /[\u0400-\u04ff]/gu },
+      { language: 'ar', pattern: /[\u0600-\u06ff]/gu },
+      { language: 'hi', pattern: /[\u0900-\u097f]/gu },
+      { language: 'th', pattern: /[\u0e00-\u0e7f]/gu },
+      { language: 'he', pattern: /[\u0590-\u05ff]/gu },
+      { language: 'el', pattern: /[\u0370-\u03ff]/gu }
+    ];
+
+    // Frequent short words of Latin-script languages; shared words simply count for each
+    const words = {
+      en: 'the and is are this that was with for you it of to not have but just what they be my so',
+      es: 'el la los las que de y es por muy pero con para una un lo se del más como este esto está',
+      pt: 'o os que de e é não muito mais com uma um para isso esse está você do da mas',
+      fr: 'le la les et est de des que pas très une un pour ce je vous mais avec du il c\'est',
+      de: 'der die das und ist nicht ich ein eine sehr mit auch aber zu es den von für wie',
+      it: 'il la che di e è non un una per molto con sono ma questo del mi ho',
+      nl: 'de het een en is niet van ik dat met voor maar zijn dit ook heel',
+      id: 'yang dan ini itu tidak di ke saya aku ada dengan untuk sangat bisa juga',
+      tr: 've bir bu çok için ama ne da de gibi ben değil var yok',
+      pl: 'i nie to jest że na się w z tak jak ale bardzo co ten',
+      vi: 'là và của có không rất này cho được người những tôi bạn một'
+    };
+    this.stopwords = Object.fromEntries(Object.entries(words).map(([language, list]) => [language, new Set(list.split(' '))]));
+
+    // Letters that only some Latin-script languages use
+    this.letters = {
+      es: /[ñ¿¡]/gu,
+      pt: /[ãõ]/gu,
+      de: /[ß]/gu,
+      tr: /[ğışİ]/gu,
+      pl: /[łąęśźżń]/gu,
+      vi: /[ơưđạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/gu
+    };
+  }
+
+  /**
+   * Returns an ISO 639-1 code, or null when the text gives too little to go on
+   */
+  detect(text) {
+    const letterCount = (text.match(/\p{L}/gu) || []).length;
+    if (letterCount < 3) {
+      return null;
+    }
+
+    for (const { language, pattern } of this.scripts) {
+      const count = (text.match(pattern) || []).length;
+      if (count > 0 && (count / letterCount >= 0.3 || language === 'ja' || language === 'uk')) {
+        return language;
+      }
+    }
+
+    const scores = {};
+    for (const word of text.toLowerCase().match(/[\p{L}']+/gu) || []) {
+      for (const [language, stopwords] of Object.entries(this.stopwords)) {
+        if (stopwords.has(word)) {
+          scores[language] = (scores[language] || 0) + 1;
+        }
+      }
+    }
+    for (const [language, pattern] of Object.entries(this.letters)) {
+      const count = (text.match(pattern) || []).length;
+      if (count > 0) {
+        scores[language] = (scores[language] || 0) + 2 * count;
+      }
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0 || (ranked.length > 1 && ranked[0][1] === ranked[1][1])) {
+      return null;
+    }
+    return ranked[0][0];
+  }
+}
+
+/**
+ * Renders the safe Markdown subset providers use in summaries: paragraphs, headings, bullet and numbered
+ * lists, block quotes, emphasis, inline and fenced code, and links to youtube.com.
+ * Builds DOM nodes directly and never parses provider text as HTML.
+ */
+class MarkdownRenderer {
+  constructor() {
+    // Escapes, inline code, bold, italics and links, tried left to right at each position
+    this.inlinePattern = /\\([\\`*_[\]()#+\-.!>])|`([^`\n]+)`|\*\*(?=\S)(.+?)(?<=\S)\*\*|(?<!\w)__(?=\S)(.+?)(?<=\S)__(?!\w)|\*(?=[^\s*])(.+?)(?<=[^\s*])\*(?!\*)|(?<!\w)_(?=\S)(.+?)(?<=\S)_(?!\w)|\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+  }
+
+  /**
+   * Returns a container element holding the rendered text
+   */
+  render(text) {
+    const container = document.createElement('div');
+    container.className = 'yt-summarize-markdown';
+    this.renderBlocks(String(text || '').replace(/\r\n?/g, '\n').split('\n'), container);
+    return container;
+  }
+
+  renderBlocks(lines, parent) {
+    let paragraph = null;
+    let lists = []; // Open lists, innermost last: { element, indent, ordered }
+
+    const closeParagraph = () => {
+      paragraph = null;
+    };
+    const closeLists = () => {
+      lists = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Fenced code block; an unclosed fence (still streaming) runs to the end
+      const fence = line.match(/^\s*(```|~~~)/);
+      if (fence) {
+        closeParagraph();
+        closeLists();
+        const code = [];
+        for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) {
+          code.push(lines[i]);
+        }
+        const pre = document.createElement('pre');
+        const codeElement = document.createElement('code');
+        codeElement.textContent = code.join('\n');
+        pre.appendChild(codeElement);
+        parent.appendChild(pre);
+        continue;
+      }
+
+      if (line.trim() === '') {
+        closeParagraph();
+        continue;
+      }
+
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        closeParagraph();
+        closeLists();
+        // The summary box title is an h3, so headings start one level below it
+        const element = document.createElement(`h${Math.min(heading[1].length + 3, 6)}`);
+        this.renderInline(heading[2], element);
+        parent.appendChild(element);
+        continue;
+      }
+
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        closeParagraph();
+        closeLists();
+        parent.appendChild(document.createElement('hr'));
+        continue;
+      }
+
+      const quote = line.match(/^\s{0,3}>\s?(.*)$/);
+      if (quote) {
+        closeLists();
+        let blockquote = parent.lastElementChild;
+        if (!blockquote || blockquote.tagName !== 'BLOCKQUOTE' || !paragraph) {
+          blockquote = document.createElement('blockquote');
+          parent.appendChild(blockquote);
+          paragraph = null;
+        }
+        paragraph = this.appendToParagraph(paragraph, blockquote, quote[1]);
+        continue;
+      }
+
+      const item = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+      if (item) {
+        closeParagraph();
+        const indent = item[1].replace(/\t/g, '    ').length;
+        const ordered = /\d/.test(item[2]);
+
+        // Leave lists nested deeper than this item, then start a new list if needed
+        while (lists.length > 0 && indent < lists[lists.length - 1].indent) {
+          lists.pop();
+        }
+        let current = lists[lists.length - 1];
+        if (current && current.indent === indent && current.ordered !== ordered) {
+          lists.pop();
+          current = lists[lists.length - 1];
+        }
+        if (!current || indent > current.indent) {
+          const element = document.createElement(ordered ? 'ol' : 'ul');
+          if (ordered && parseInt(item[2], 10) !== 1) {
+            element.start = parseInt(item[2], 10);
+          }
+          const host = current ? current.element.lastElementChild : parent;
+          (host || parent).appendChild(element);
+          current = { element, indent, ordered };
+          lists.push(current);
+        }
+
+        const li = document.createElement('li');
+        this.renderInline(item[3], li);
+        current.element.appendChild(li);
+        continue;
+      }
+
+      // A continuation line belongs to the open list item, otherwise to the current paragraph
+      if (lists.length > 0 && !paragraph && /^\s+/.test(line)) {
+        const li = lists[lists.length - 1].element.lastElementChild;
+        li.appendChild(document.createElement('br'));
+        this.renderInline(line.trim(), li);
+        continue;
+      }
+
+      closeLists();
+      paragraph = this.appendToParagraph(paragraph, parent, line.trim());
+    }
+  }
+
+  /**
+   * Adds a line to the open paragraph, keeping the provider's line breaks, or starts a new one
+   */
+  appendToParagraph(paragraph, parent, text) {
+    if (paragraph) {
+      paragraph.appendChild(document.createElement('br'));
+    } else {
+      paragraph = document.createElement('p');
+      parent.appendChild(paragraph);
+    }
+    this.renderInline(text, paragraph);
+    return paragraph;
+  }
+
+  renderInline(text, parent) {
+    const pattern = new RegExp(this.inlinePattern.source, 'g');
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index > lastIndex) {
+        parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+      }
+      lastIndex = pattern.lastIndex;
+
+      const [, escaped, code, strong, strongAlt, em, emAlt, linkText, href] = match;
+      if (escaped !== undefined) {
+        parent.appendChild(document.createTextNode(escaped));
+      } else if (code !== undefined) {
+        const element = document.createElement('code');
+        element.textContent = code;
+        parent.appendChild(element);
+      } else if (strong !== undefined || strongAlt !== undefined) {
+        const element = document.createElement('strong');
+        this.renderInline(strong ?? strongAlt, element);
+        parent.appendChild(element);
+      } else if (em !== undefined || emAlt !== undefined) {
+        const element = document.createElement('em');
+        this.renderInline(em ?? emAlt, element);
+        parent.appendChild(element);
+      } else {
+        const url = this.getSafeUrl(href);
+        if (url) {
+          const link = document.createElement('a');
+          link.href = url;
+          link.rel = 'noopener noreferrer';
+          this.renderInline(linkText, link);
+          parent.appendChild(link);
+        } else {
+          // Keep the text of links that point outside YouTube, without the link
+          this.renderInline(linkText, parent);
+        }
+      }
+    }
+
+    if (lastIndex < text.length) {
+      parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+  }
+
+  /**
+   * Returns the absolute URL when it is an https link to youtube.com, otherwise null
+   */
+  getSafeUrl(href) {
+    try {
+      const url = new URL(href, 'https://www.youtube.com');
+      const host = url.hostname.toLowerCase();
+      if (url.protocol !== 'https:' || url.username || url.password) {
+        return null;
+      }
+      return host === 'youtube.com' || host.endsWith('.youtube.com') ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
 // Initialize the content script
 const controller = new ContentScriptController();
 
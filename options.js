@@ -3,9 +3,15 @@
 // Default system prompt
 const DEFAULT_SYSTEM_PROMPT = 'Analyze the comments below. Your entire response must follow this exact format:\n\n[POSITIVE SUMMARY]: {Insert 2-3 sentence summary of positive sentiments here, in a witty tone}\n\n[NEGATIVE SUMMARY]: {Insert 2-3 sentence summary of negative sentiments here, in a witty tone}\n\nDo not include any text or characters before "[POSITIVE SUMMARY]:" or after the negative summary paragraph.';
 
-// AI Providers (will be loaded from background script)
+// AI provider descriptors (will be loaded from background script)
 let AI_PROVIDERS = {};
 
+// Per-provider API keys, model, generation and connection settings as last loaded or saved
+let savedProviderSettings = {};
+
+// Enabled fallback providers, in the order they are tried
+let savedFallbackProviders = [];
+
 // Enhanced validation constants
 const VALIDATION = {
   systemPrompt: {
@@ -18,9 +24,9 @@ const VALIDATION = {
 // Load providers from background script
 async function loadProviders() {
   try {
-    const response = await browser.runtime.sendMessage({ type: 'getProviders' });
-    if (response?.providers) {
-      AI_PROVIDERS = response.providers;
+    const { providers } = await Protocol.send(MessageTypes.GET_PROVIDERS);
+    if (providers) {
+      AI_PROVIDERS = providers;
       return true;
     }
   } catch (error) {
@@ -31,18 +37,24 @@ async function loadProviders() {
 
 // API key validation with enhanced security for multiple providers
 function validateApiKey(key, provider) {
+  const providerConfig = AI_PROVIDERS[provider];
+  
+  // Local servers usually run without authentication
+  if (!key && providerConfig?.keyOptional) {
+    return { valid: true };
+  }
+  
   if (!key || typeof key !== 'string') {
     return { valid: false, error: 'API key is required' };
   }
   
   const trimmed = key.trim();
-  const providerConfig = AI_PROVIDERS[provider];
   
   if (!providerConfig) {
     return { valid: false, error: 'Invalid AI provider selected' };
   }
   
-  if (trimmed.length < 10 || trimmed.length > 200) {
+  if ((trimmed.length < 10 && !providerConfig.keyOptional) || trimmed.length > (providerConfig.maxKeyLength || 200)) {
     return { valid: false, error: `API key length invalid for ${providerConfig.name}` };
   }
   
@@ -58,6 +70,13 @@ function validateApiKey(key, provider) {
     case 'gemini':
       isValidFormat = trimmed.length > 20; // Gemini keys are just long strings
       break;
+    case 'custom':
+      isValidFormat = !/\s/.test(trimmed); // Local servers accept any token
+      break;
+    case 'azure':
+    case 'gateway':
+      isValidFormat = trimmed.length >= 16 && /^[\x21-\x7e]+$/.test(trimmed); // Keys or access tokens, no fixed prefix
+      break;
     default:
       isValidFormat = trimmed.length > 10; // Generic validation
   }
@@ -74,6 +93,13 @@ function validateApiKey(key, provider) {
       case 'gemini':
         formatHint = 'Gemini API keys are 20+ characters long';
         break;
+      case 'custom':
+        formatHint = 'API keys cannot contain spaces';
+        break;
+      case 'azure':
+      case 'gateway':
+        formatHint = 'Keys and tokens are 16+ characters without spaces';
+        break;
     }
     return { valid: false, error: `Invalid API key format for ${providerConfig.name}. ${formatHint}` };
   }
@@ -86,6 +112,203 @@ function validateApiKey(key, provider) {
   return { valid: true };
 }
 
+// Base URL validation for OpenAI-compatible endpoints; only local servers may use plain http
+function validateBaseUrl(value, provider = 'custom') {
+  const providerConfig = AI_PROVIDERS[provider];
+  if (!value) {
+    return { valid: false, error: `Base URL is required for ${providerConfig?.name}` };
+  }
+  
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { valid: false, error: 'Base URL is not a valid URL' };
+  }
+  
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { valid: false, error: 'Base URL must start with http:// or https://' };
+  }
+  
+  const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (providerConfig?.localOnly && !isLocal) {
+    return { valid: false, error: 'Custom provider must run on localhost (e.g. http://localhost:11434/v1)' };
+  }
+  
+  if (!isLocal && url.protocol !== 'https:') {
+    return { valid: false, error: 'Base URL must use https:// unless the server runs on localhost' };
+  }
+  
+  if (url.search || url.hash) {
+    return { valid: false, error: 'Base URL must not contain a query string; set the API version separately' };
+  }
+  
+  return { valid: true, url };
+}
+
+// Azure deployment names are letters, digits, dots, dashes and underscores
+function validateDeployment(value) {
+  if (!value) {
+    return { valid: false, error: 'Deployment name is required for Azure OpenAI' };
+  }
+  if (!/^[\w.-]{1,64}$/.test(value)) {
+    return { valid: false, error: 'Deployment name may only contain letters, digits, ".", "-" and "_"' };
+  }
+  return { valid: true };
+}
+
+// api-version query parameter validation, e.g. 2024-10-21 or 2025-01-01-preview
+function validateApiVersion(value) {
+  if (value && !/^\d{4}-\d{2}-\d{2}(-preview)?$/.test(value)) {
+    return { valid: false, error: 'API version must look like 2024-10-21 or 2025-01-01-preview' };
+  }
+  return { valid: true };
+}
+
+// Parses "Name: value" lines into a headers object
+function parseExtraHeaders(text) {
+  const headers = {};
+  const reserved = ['content-type', 'content-length', 'host', 'cookie', 'origin'];
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  
+  if (lines.length > 20) {
+    return { valid: false, error: 'Too many extra headers (max 20)' };
+  }
+  
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    const name = separator > 0 ? line.slice(0, separator).trim() : '';
+    const value = separator > 0 ? line.slice(separator + 1).trim() : '';
+    
+    if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+      return { valid: false, error: `Invalid extra header line "${line}". Use "Name: value".` };
+    }
+    if (reserved.includes(name.toLowerCase())) {
+      return { valid: false, error: `Extra header "${name}" is set by the browser and cannot be overridden` };
+    }
+    if (value.length > 2000) {
+      return { valid: false, error: `Extra header "${name}" is too long` };
+    }
+    headers[name] = value;
+  }
+  
+  return { valid: true, headers };
+}
+
+function formatExtraHeaders(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+// Reads and validates the connection fields a provider uses (base URL, deployment, API version, key header, headers)
+function readConnectionSettings(provider) {
+  const fields = AI_PROVIDERS[provider]?.settingsFields || [];
+  const settings = {};
+  
+  if (fields.includes('baseUrl')) {
+    const baseUrl = sanitizeText(document.getElementById('base-url-input').value);
+    const validation = validateBaseUrl(baseUrl, provider);
+    if (!validation.valid) {
+      return { valid: false, field: 'base-url-input', error: validation.error };
+    }
+    settings.baseUrl = baseUrl;
+    settings.url = validation.url;
+  }
+  
+  if (fields.includes('deployment')) {
+    const deployment = sanitizeText(document.getElementById('deployment-input').value);
+    const validation = validateDeployment(deployment);
+    if (!validation.valid) {
+      return { valid: false, field: 'deployment-input', error: validation.error };
+    }
+    settings.deployment = deployment;
+  }
+  
+  if (fields.includes('apiVersion')) {
+    const apiVersion = sanitizeText(document.getElementById('api-version-input').value);
+    const validation = validateApiVersion(apiVersion);
+    if (!validation.valid) {
+      return { valid: false, field: 'api-version-input', error: validation.error };
+    }
+    if (apiVersion) settings.apiVersion = apiVersion;
+  }
+  
+  if (fields.includes('authHeader')) {
+    settings.authHeader = document.getElementById('auth-header-select').value;
+  }
+  
+  if (fields.includes('extraHeaders')) {
+    const validation = parseExtraHeaders(document.getElementById('extra-headers-input').value);
+    if (!validation.valid) {
+      return { valid: false, field: 'extra-headers-input', error: validation.error };
+    }
+    settings.extraHeaders = validation.headers;
+  }
+  
+  return { valid: true, settings };
+}
+
+// Model name validation; custom servers and gateways have no default model to fall back to
+function validateModelName(value, required = false) {
+  if (!value) {
+    return required
+      ? { valid: false, error: 'Model name is required for this provider' }
+      : { valid: true };
+  }
+  
+  if (value.length > 200 || /[<>"'\s]/.test(value)) {
+    return { valid: false, error: 'Model name contains invalid characters' };
+  }
+  
+  return { valid: true };
+}
+
+// Generation parameter validation; empty values fall back to provider defaults
+function validateGenerationSettings(temperature, maxTokens, provider) {
+  const providerConfig = AI_PROVIDERS[provider];
+  const result = { valid: true, values: {} };
+  
+  if (temperature !== '') {
+    const value = Number(temperature);
+    const max = providerConfig?.maxTemperature ?? 2;
+    if (!Number.isFinite(value) || value < 0 || value > max) {
+      return { valid: false, field: 'temperature', error: `Temperature must be between 0 and ${max} for ${providerConfig?.name}` };
+    }
+    result.values.temperature = value;
+  }
+  
+  if (maxTokens !== '') {
+    const value = Number(maxTokens);
+    if (!Number.isInteger(value) || value < 1 || value > 32000) {
+      return { valid: false, field: 'maxTokens', error: 'Max output tokens must be a whole number between 1 and 32000' };
+    }
+    result.values.maxTokens = value;
+  }
+  
+  return result;
+}
+
+// Spending cap validation; an empty field means no cap
+function validateSpendingCap(value, label) {
+  if (value === '') {
+    return { valid: true, value: null };
+  }
+  
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0 || amount > 100000) {
+    return { valid: false, error: `${label} must be a positive dollar amount, or empty for no limit` };
+  }
+  return { valid: true, value: Math.round(amount * 100) / 100 };
+}
+
+// Deep Summarize limits: whole numbers within the given range
+function validateDeepLimit(value, label, min, max) {
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < min || number > max) {
+    return { valid: false, error: `${label} must be a whole number from ${min} to ${max}` };
+  }
+  return { valid: true, value: number };
+}
+
 // System prompt validation with security measures
 function validateSystemPrompt(prompt) {
   if (!prompt || typeof prompt !== 'string') {
@@ -122,6 +345,58 @@ function validateSystemPrompt(prompt) {
   return { valid: true };
 }
 
+// Parses custom section markers, one per line as "NAME" or "NAME | tone"
+function parseSectionMarkers(value) {
+  const markers = [];
+  const lines = String(value || '').split('\n').map(line => line.trim()).filter(Boolean);
+  
+  if (lines.length > 10) {
+    return { valid: false, error: 'At most 10 custom section markers are supported' };
+  }
+  
+  for (const line of lines) {
+    const [rawName, rawTone = 'neutral'] = line.split('|').map(part => part.trim());
+    const name = rawName.replace(/^\[|\]:?$|:$/g, '').replace(/\s+/g, ' ').toUpperCase();
+    const tone = rawTone.toLowerCase();
+    
+    if (!/^[A-Z0-9][A-Z0-9 &'\/-]{0,39}$/.test(name)) {
+      return { valid: false, error: `Invalid section marker "${rawName}". Use up to 40 letters, digits, spaces, hyphens or slashes.` };
+    }
+    if (!['positive', 'negative', 'neutral'].includes(tone)) {
+      return { valid: false, error: `Invalid tone "${rawTone}" for ${name}. Use positive, negative or neutral.` };
+    }
+    if (!markers.some(marker => marker.name === name)) {
+      markers.push({ name, tone });
+    }
+  }
+  
+  return { valid: true, markers };
+}
+
+function formatSectionMarkers(markers) {
+  if (!Array.isArray(markers)) return '';
+  return markers.map(marker => marker.tone && marker.tone !== 'neutral' ? `${marker.name} | ${marker.tone}` : marker.name).join('\n');
+}
+
+// Whether a select element offers the given value
+function isKnownOption(select, value) {
+  return Array.from(select.options).some(option => option.value === value);
+}
+
+// Names the browser's UI language in the "Browser language" option
+function labelBrowserLanguageOption(select) {
+  const option = select.querySelector('option[value="auto"]');
+  try {
+    const code = browser.i18n.getUILanguage();
+    const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+    if (option && name) {
+      option.textContent = `Browser language (${name})`;
+    }
+  } catch (error) {
+    console.warn('Could not determine the browser language:', error);
+  }
+}
+
 function sanitizeText(text) {
   if (typeof text !== 'string') return '';
   
@@ -183,8 +458,21 @@ function setFormLoadingState(isLoading) {
     const saveButton = document.querySelector('button[type="submit"]');
     const testButton = document.getElementById('test-key-btn');
     const providerSelect = document.getElementById('ai-provider-select');
+    const baseUrlInput = document.getElementById('base-url-input');
+    const modelInput = document.getElementById('model-input');
     
     if (input) input.disabled = isLoading;
+    const temperatureInput = document.getElementById('temperature-input');
+    const maxTokensInput = document.getElementById('max-tokens-input');
+    
+    if (baseUrlInput) baseUrlInput.disabled = isLoading;
+    ['deployment-input', 'api-version-input', 'auth-header-select', 'extra-headers-input'].forEach(id => {
+      const field = document.getElementById(id);
+      if (field) field.disabled = isLoading;
+    });
+    if (modelInput) modelInput.disabled = isLoading;
+    if (temperatureInput) temperatureInput.disabled = isLoading;
+    if (maxTokensInput) maxTokensInput.disabled = isLoading;
     if (testButton) testButton.disabled = isLoading;
     if (providerSelect) providerSelect.disabled = isLoading;
     
@@ -204,10 +492,20 @@ function setFormLoadingState(isLoading) {
 function setPromptFormLoadingState(isLoading) {
   try {
     const textarea = document.getElementById('system-prompt-input');
+    const formatSelect = document.getElementById('summary-format-select');
+    const markersInput = document.getElementById('section-markers-input');
+    const languageSelect = document.getElementById('summary-language-select');
+    const rankingSelect = document.getElementById('comment-ranking-select');
+    const momentMarkersInput = document.getElementById('moment-markers-input');
     const saveButton = document.querySelector('#prompt-form button[type="submit"]');
     const resetButton = document.getElementById('reset-prompt-btn');
     
     if (textarea) textarea.disabled = isLoading;
+    if (formatSelect) formatSelect.disabled = isLoading;
+    if (markersInput) markersInput.disabled = isLoading;
+    if (languageSelect) languageSelect.disabled = isLoading;
+    if (rankingSelect) rankingSelect.disabled = isLoading;
+    if (momentMarkersInput) momentMarkersInput.disabled = isLoading;
     if (resetButton) resetButton.disabled = isLoading;
     
     if (saveButton) {
@@ -250,10 +548,29 @@ function updateProviderHelp(provider) {
       linkText = 'Google AI Studio';
       placeholder = 'Your API key (20+ characters)';
       break;
+    case 'azure':
+      linkUrl = 'https://portal.azure.com/';
+      linkText = 'Azure portal (Keys and Endpoint)';
+      placeholder = 'Resource key or Entra ID access token';
+      break;
+    case 'gateway':
+      placeholder = 'Gateway key (optional)';
+      break;
+    case 'custom':
+      placeholder = 'Optional';
+      break;
   }
   
   // Clear existing content
   helpText.textContent = '';
+  apiKeyInput.placeholder = placeholder;
+  
+  if (!linkUrl) {
+    helpText.textContent = provider === 'gateway'
+      ? 'The key issued by your gateway, if it requires one. Your key is stored locally and only sent to the gateway you configure.'
+      : 'Optional. Only needed if your server requires an API key. Your key is stored locally and only sent to the server you configure.';
+    return;
+  }
   
   // Create elements safely
   const beforeText = document.createTextNode('Get your API key from ');
@@ -267,8 +584,285 @@ function updateProviderHelp(provider) {
   helpText.appendChild(beforeText);
   helpText.appendChild(link);
   helpText.appendChild(afterText);
+}
+
+// Shows the extra settings a provider needs and whether its API key is required
+function updateProviderFields(provider) {
+  const customFields = document.getElementById('custom-provider-fields');
+  const apiKeyInput = document.getElementById('api-key-input');
+  const baseUrlInput = document.getElementById('base-url-input');
+  const baseUrlHelp = document.getElementById('base-url-help-text');
+  const apiVersionInput = document.getElementById('api-version-input');
+  const providerConfig = AI_PROVIDERS[provider];
+  const fields = providerConfig?.settingsFields || [];
   
-  apiKeyInput.placeholder = placeholder;
+  if (customFields) {
+    customFields.hidden = fields.length === 0;
+    customFields.querySelectorAll('[data-setting]').forEach(element => {
+      element.hidden = !fields.includes(element.dataset.setting);
+    });
+  }
+  if (apiKeyInput) {
+    apiKeyInput.required = !providerConfig?.keyOptional;
+  }
+  if (apiVersionInput) {
+    apiVersionInput.placeholder = providerConfig?.defaultApiVersion ? `Default: ${providerConfig.defaultApiVersion}` : 'Not sent';
+  }
+  
+  if (!baseUrlInput || !baseUrlHelp) return;
+  switch (provider) {
+    case 'azure':
+      baseUrlInput.placeholder = 'https://your-resource.openai.azure.com';
+      baseUrlHelp.textContent = 'The endpoint of your Azure OpenAI resource, without /openai/deployments. Saving asks for permission to access this host.';
+      break;
+    case 'gateway':
+      baseUrlInput.placeholder = 'https://llm-gateway.example.com/v1';
+      baseUrlHelp.textContent = 'The OpenAI-compatible base URL of your gateway (e.g. LiteLLM), up to but not including /chat/completions. Must use https unless it runs on localhost. Saving asks for permission to access this host.';
+      break;
+    default:
+      baseUrlInput.placeholder = 'http://localhost:11434/v1';
+      baseUrlHelp.textContent = 'OpenAI-compatible endpoint of your local server, e.g. Ollama (http://localhost:11434/v1), LM Studio (http://localhost:1234/v1) or llama.cpp (http://localhost:8080/v1). Saving asks for permission to access this host. Ollama must be started with OLLAMA_ORIGINS=moz-extension://* to accept requests from the extension.';
+  }
+}
+
+// Fills the key, model, parameter and connection fields with the saved settings for a provider
+function applyProviderSettings(provider) {
+  const providerConfig = AI_PROVIDERS[provider];
+  const settings = savedProviderSettings[provider] || {};
+  const apiKeyInput = document.getElementById('api-key-input');
+  const modelInput = document.getElementById('model-input');
+  const temperatureInput = document.getElementById('temperature-input');
+  const maxTokensInput = document.getElementById('max-tokens-input');
+  const baseUrlInput = document.getElementById('base-url-input');
+  
+  if (!providerConfig || !apiKeyInput || !modelInput || !temperatureInput || !maxTokensInput || !baseUrlInput) return;
+  
+  apiKeyInput.value = settings.apiKey || '';
+  apiKeyInput.style.borderColor = '';
+  modelInput.value = settings.model || '';
+  if (provider === 'azure') {
+    modelInput.placeholder = 'Optional, used for cost estimates';
+  } else {
+    modelInput.placeholder = providerConfig.defaultModel ? `Default: ${providerConfig.defaultModel}` : 'Model name (required)';
+  }
+  temperatureInput.value = settings.temperature ?? '';
+  temperatureInput.max = String(providerConfig.maxTemperature ?? 2);
+  maxTokensInput.value = settings.maxTokens ?? '';
+  baseUrlInput.value = settings.baseUrl || '';
+  
+  const deploymentInput = document.getElementById('deployment-input');
+  const apiVersionInput = document.getElementById('api-version-input');
+  const authHeaderSelect = document.getElementById('auth-header-select');
+  const extraHeadersInput = document.getElementById('extra-headers-input');
+  if (deploymentInput) deploymentInput.value = settings.deployment || '';
+  if (apiVersionInput) apiVersionInput.value = settings.apiVersion || '';
+  if (authHeaderSelect) authHeaderSelect.value = settings.authHeader || providerConfig.defaultAuthHeader || 'bearer';
+  if (extraHeadersInput) extraHeadersInput.value = formatExtraHeaders(settings.extraHeaders);
+}
+
+// Suggests models from the provider's models endpoint once credentials are available
+async function refreshModelList(provider, apiKey) {
+  const datalist = document.getElementById('model-options');
+  const helpText = document.getElementById('model-help-text');
+  const providerConfig = AI_PROVIDERS[provider];
+  
+  if (!datalist || !helpText || !providerConfig) return;
+  
+  datalist.textContent = '';
+  let defaultHelp = providerConfig.defaultModel
+    ? "Leave empty to use the provider's default model."
+    : 'Enter the name of the model as your server knows it.';
+  if (provider === 'azure') {
+    defaultHelp = 'The deployment decides the model. Optionally enter the underlying model name for more accurate cost estimates.';
+  }
+  helpText.textContent = defaultHelp;
+  
+  const connection = readConnectionSettings(provider);
+  if (!validateApiKey(apiKey, provider).valid || !connection.valid || provider === 'azure') {
+    return;
+  }
+  
+  const { url, ...settings } = connection.settings;
+  try {
+    const response = await Protocol.send(MessageTypes.LIST_MODELS, {
+      provider,
+      apiKey,
+      settings
+    });
+    
+    const models = response.models || [];
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model;
+      datalist.appendChild(option);
+    });
+    
+    if (models.length > 0) {
+      helpText.textContent = `${defaultHelp} ${models.length} models available for your key.`;
+    }
+  } catch (error) {
+    console.warn('Failed to list models:', error);
+  }
+}
+
+// Whether a provider has the saved credentials it needs to act as a fallback
+function isProviderConfigured(provider) {
+  const settings = savedProviderSettings[provider] || {};
+  const needsBaseUrl = AI_PROVIDERS[provider]?.settingsFields?.includes('baseUrl');
+  if (needsBaseUrl && !settings.baseUrl) {
+    return false;
+  }
+  return AI_PROVIDERS[provider]?.keyOptional || validateApiKey(settings.apiKey || '', provider).valid;
+}
+
+// Renders the fallback list: every provider except the main one, enabled ones first in their saved order
+function renderFallbackList(mainProvider) {
+  const list = document.getElementById('fallback-list');
+  if (!list) return;
+  
+  const enabled = savedFallbackProviders.filter(provider => AI_PROVIDERS[provider] && provider !== mainProvider);
+  const disabled = Object.keys(AI_PROVIDERS).filter(provider => provider !== mainProvider && !enabled.includes(provider));
+  const order = [...enabled, ...disabled];
+  
+  list.textContent = '';
+  order.forEach((provider, index) => {
+    const item = document.createElement('li');
+    item.className = 'fallback-item';
+    item.dataset.provider = provider;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `fallback-${provider}`;
+    checkbox.checked = enabled.includes(provider);
+    
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = AI_PROVIDERS[provider].name;
+    
+    const note = document.createElement('span');
+    note.className = 'fallback-note';
+    note.textContent = isProviderConfigured(provider) ? '' : 'not configured';
+    
+    const upButton = document.createElement('button');
+    upButton.type = 'button';
+    upButton.className = 'secondary icon-button';
+    upButton.textContent = '↑';
+    upButton.setAttribute('aria-label', `Move ${AI_PROVIDERS[provider].name} up`);
+    upButton.disabled = index === 0;
+    upButton.addEventListener('click', () => moveFallbackItem(item, -1));
+    
+    const downButton = document.createElement('button');
+    downButton.type = 'button';
+    downButton.className = 'secondary icon-button';
+    downButton.textContent = '↓';
+    downButton.setAttribute('aria-label', `Move ${AI_PROVIDERS[provider].name} down`);
+    downButton.disabled = index === order.length - 1;
+    downButton.addEventListener('click', () => moveFallbackItem(item, 1));
+    
+    item.appendChild(checkbox);
+    item.appendChild(label);
+    item.appendChild(note);
+    item.appendChild(upButton);
+    item.appendChild(downButton);
+    list.appendChild(item);
+  });
+}
+
+// Moves a fallback entry up or down and refreshes the arrow states
+function moveFallbackItem(item, direction) {
+  const list = item.parentNode;
+  if (direction < 0 && item.previousElementSibling) {
+    list.insertBefore(item, item.previousElementSibling);
+  } else if (direction > 0 && item.nextElementSibling) {
+    list.insertBefore(item.nextElementSibling, item);
+  }
+  
+  const items = Array.from(list.children);
+  items.forEach((entry, index) => {
+    const [upButton, downButton] = entry.querySelectorAll('button');
+    upButton.disabled = index === 0;
+    downButton.disabled = index === items.length - 1;
+  });
+}
+
+// Reads the enabled fallback providers in their displayed order
+function readFallbackList() {
+  const list = document.getElementById('fallback-list');
+  if (!list) return [];
+  
+  return Array.from(list.children)
+    .filter(item => item.querySelector('input[type="checkbox"]').checked)
+    .map(item => item.dataset.provider);
+}
+
+// Formats a usage total as tokens plus estimated cost
+function formatUsage(totals) {
+  if (!totals || totals.calls === 0) {
+    return '—';
+  }
+  
+  const tokens = (totals.inputTokens + totals.outputTokens).toLocaleString();
+  const approx = totals.estimatedCalls > 0 ? '~' : '';
+  let cost;
+  if (totals.unpricedCalls === totals.calls) {
+    cost = 'not priced';
+  } else {
+    cost = totals.cost > 0 && totals.cost < 0.01 ? '<$0.01' : `$${totals.cost.toFixed(2)}`;
+    if (totals.unpricedCalls > 0) cost += '+';
+  }
+  return `${approx}${tokens} tokens · ${cost}`;
+}
+
+// Renders today's and this month's usage per provider with a total row
+function renderUsage(totals) {
+  const body = document.getElementById('usage-table-body');
+  if (!body) return;
+  
+  body.textContent = '';
+  const providers = Object.keys(totals.month.providers);
+  if (providers.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 3;
+    cell.textContent = 'No usage recorded this month.';
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+  
+  const addRow = (label, today, month, className) => {
+    const row = document.createElement('tr');
+    if (className) row.className = className;
+    [label, formatUsage(today), formatUsage(month)].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  };
+  
+  providers.forEach(provider => {
+    addRow(AI_PROVIDERS[provider]?.name || provider, totals.today.providers[provider], totals.month.providers[provider]);
+  });
+  addRow('Total', totals.today.total, totals.month.total, 'usage-total');
+}
+
+// Loads the usage ledger totals and spending caps from the background script
+async function loadUsage() {
+  try {
+    const response = await Protocol.send(MessageTypes.GET_USAGE);
+    if (!response.totals) {
+      throw new Error('No usage data');
+    }
+    
+    renderUsage(response.totals);
+    const { daily, monthly } = response.usageLimits || {};
+    document.getElementById('daily-cap-input').value = daily ?? '';
+    document.getElementById('monthly-cap-input').value = monthly ?? '';
+  } catch (error) {
+    console.error('Error loading usage:', error);
+    showStatus('Unable to load usage data.', 'error', 'usage-status');
+  }
 }
 
 async function testApiConnection(apiKey, provider) {
@@ -347,11 +941,34 @@ document.addEventListener('DOMContentLoaded', async () => {
   const testButton = document.getElementById('test-key-btn');
   const promptTextarea = document.getElementById('system-prompt-input');
   const promptForm = document.getElementById('prompt-form');
+  const summaryFormatSelect = document.getElementById('summary-format-select');
+  const sectionMarkersInput = document.getElementById('section-markers-input');
+  const summaryLanguageSelect = document.getElementById('summary-language-select');
+  const commentRankingSelect = document.getElementById('comment-ranking-select');
+  const momentMarkersInput = document.getElementById('moment-markers-input');
   const resetPromptButton = document.getElementById('reset-prompt-btn');
   const providerSelect = document.getElementById('ai-provider-select');
+  const baseUrlInput = document.getElementById('base-url-input');
+  const modelInput = document.getElementById('model-input');
+  const temperatureInput = document.getElementById('temperature-input');
+  const maxTokensInput = document.getElementById('max-tokens-input');
+  const failoverForm = document.getElementById('failover-form');
+  const limitsForm = document.getElementById('limits-form');
+  const dailyCapInput = document.getElementById('daily-cap-input');
+  const monthlyCapInput = document.getElementById('monthly-cap-input');
+  const resetUsageButton = document.getElementById('reset-usage-btn');
+  const deepForm = document.getElementById('deep-form');
+  const replyDepthSelect = document.getElementById('reply-depth-select');
+  const targetCountInput = document.getElementById('target-count-input');
+  const maxDurationInput = document.getElementById('max-duration-input');
+  const includeRepliesInput = document.getElementById('include-replies-input');
   
   // Validate required elements
-  if (!input || !form || !testButton || !promptTextarea || !promptForm || !resetPromptButton || !providerSelect) {
+  if (!input || !form || !testButton || !promptTextarea || !promptForm || !resetPromptButton || !providerSelect ||
+      !baseUrlInput || !modelInput || !temperatureInput || !maxTokensInput || !failoverForm ||
+      !limitsForm || !dailyCapInput || !monthlyCapInput || !resetUsageButton || !summaryFormatSelect || !sectionMarkersInput || !summaryLanguageSelect ||
+      !commentRankingSelect || !momentMarkersInput || !deepForm || !replyDepthSelect ||
+      !targetCountInput || !maxDurationInput || !includeRepliesInput) {
     console.error('Required DOM elements not found');
     showStatus('Page initialization error. Please refresh the page.', 'error');
     return;
@@ -368,20 +985,37 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Load saved settings with enhanced error handling
   try {
-    const { apiKey, systemPrompt, aiProvider = 'claude' } = await safeStorageGet(['apiKey', 'systemPrompt', 'aiProvider']);
+    const { apiKey: legacyApiKey, systemPrompt, aiProvider = 'claude', providerSettings = {}, fallbackProviders = [], summaryFormat = 'text', sectionMarkers = [], summaryLanguage = 'auto', commentRanking = 'top-liked', showMomentMarkers = false, deepSummarize = {} } =
+      await safeStorageGet(['apiKey', 'systemPrompt', 'aiProvider', 'providerSettings', 'fallbackProviders', 'summaryFormat', 'sectionMarkers', 'summaryLanguage', 'commentRanking', 'showMomentMarkers', 'deepSummarize']);
+    
+    // Keys used to be stored once for the selected provider; carry that key over to its settings
+    savedProviderSettings = providerSettings;
+    if (legacyApiKey && savedProviderSettings[aiProvider]?.apiKey === undefined) {
+      savedProviderSettings[aiProvider] = { ...savedProviderSettings[aiProvider], apiKey: legacyApiKey };
+    }
+    savedFallbackProviders = Array.isArray(fallbackProviders) ? fallbackProviders : [];
+    const apiKey = savedProviderSettings[aiProvider]?.apiKey || '';
     
     // Set provider selection
     providerSelect.value = aiProvider;
     updateProviderHelp(aiProvider);
+    updateProviderFields(aiProvider);
+    
+    // Restore key, model, parameter and connection settings
+    applyProviderSettings(aiProvider);
+    refreshModelList(aiProvider, apiKey);
+    renderFallbackList(aiProvider);
+    loadUsage();
     
     if (apiKey) {
       const validation = validateApiKey(apiKey, aiProvider);
       if (validation.valid) {
-        input.value = apiKey;
         showStatus('Saved settings loaded successfully', 'success');
       } else {
         showStatus('Saved API key is invalid for selected provider. Please enter a new one.', 'warning');
       }
+    } else if (AI_PROVIDERS[aiProvider].keyOptional) {
+      showStatus('Saved settings loaded successfully', 'success');
     } else {
       showStatus(`No API key found. Please enter your ${AI_PROVIDERS[aiProvider].name} API key to get started.`, 'warning');
     }
@@ -389,6 +1023,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Always load system prompt - use saved or default
     const promptToUse = systemPrompt || DEFAULT_SYSTEM_PROMPT;
     promptTextarea.value = promptToUse;
+    summaryFormatSelect.value = summaryFormat === 'structured' ? 'structured' : 'text';
+    sectionMarkersInput.value = formatSectionMarkers(sectionMarkers);
+    labelBrowserLanguageOption(summaryLanguageSelect);
+    summaryLanguageSelect.value = isKnownOption(summaryLanguageSelect, summaryLanguage) ? summaryLanguage : 'auto';
+    commentRankingSelect.value = isKnownOption(commentRankingSelect, commentRanking) ? commentRanking : 'top-liked';
+    momentMarkersInput.checked = showMomentMarkers === true;
+    const replyDepth = String(deepSummarize.replyDepth ?? 1);
+    replyDepthSelect.value = isKnownOption(replyDepthSelect, replyDepth) ? replyDepth : '1';
+    targetCountInput.value = deepSummarize.targetCount ?? 2000;
+    maxDurationInput.value = deepSummarize.maxDuration ?? 60;
+    // A reply depth of 0 used to mean leaving replies out
+    includeRepliesInput.checked = deepSummarize.includeReplies ?? deepSummarize.replyDepth !== 0;
+    replyDepthSelect.disabled = !includeRepliesInput.checked;
     
     if (!systemPrompt) {
       showStatus('Default system prompt loaded. You can customize it below.', 'success', 'prompt-status');
@@ -414,18 +1061,12 @@ document.addEventListener('DOMContentLoaded', async () => {
   providerSelect.addEventListener('change', (e) => {
     const selectedProvider = e.target.value;
     updateProviderHelp(selectedProvider);
+    updateProviderFields(selectedProvider);
     
-    // Clear API key validation when provider changes
-    input.style.borderColor = '';
-    
-    // Validate current API key against new provider
-    const currentKey = input.value.trim();
-    if (currentKey) {
-      const validation = validateApiKey(currentKey, selectedProvider);
-      if (!validation.valid) {
-        showStatus(`Current API key is not valid for ${AI_PROVIDERS[selectedProvider].name}`, 'warning');
-      }
-    }
+    // Each provider keeps its own key, model and parameters
+    applyProviderSettings(selectedProvider);
+    refreshModelList(selectedProvider, sanitizeText(input.value));
+    renderFallbackList(selectedProvider);
   });
 
   // Handle API key form submission with enhanced security
@@ -449,12 +1090,53 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
       
       console.log('API key validation passed');
+      
+      const model = sanitizeText(modelInput.value);
+      // Azure picks the model from the deployment
+      const modelValidation = validateModelName(model, !AI_PROVIDERS[provider].defaultModel && provider !== 'azure');
+      if (!modelValidation.valid) {
+        showStatus(modelValidation.error, 'error');
+        modelInput.focus();
+        return;
+      }
+      
+      const generationValidation = validateGenerationSettings(temperatureInput.value.trim(), maxTokensInput.value.trim(), provider);
+      if (!generationValidation.valid) {
+        showStatus(generationValidation.error, 'error');
+        (generationValidation.field === 'temperature' ? temperatureInput : maxTokensInput).focus();
+        return;
+      }
+      
+      const connection = readConnectionSettings(provider);
+      if (!connection.valid) {
+        showStatus(connection.error, 'error');
+        document.getElementById(connection.field)?.focus();
+        return;
+      }
+      
+      const { url, ...connectionSettings } = connection.settings;
+      const settings = { apiKey, model, ...generationValidation.values, ...connectionSettings };
+      if (url) {
+        // Must be the first await so the request still counts as a user action
+        const { protocol, hostname } = url;
+        const granted = await browser.permissions.request({ origins: [`${protocol}//${hostname}/*`] });
+        if (!granted) {
+          showStatus(`Permission to access ${hostname} was denied. ${AI_PROVIDERS[provider].name} cannot be used without it.`, 'error');
+          return;
+        }
+      }
+      
       setFormLoadingState(true);
       
       console.log('Saving to storage...');
-      await safeStorageSet({ apiKey, aiProvider: provider });
+      const { providerSettings = {} } = await safeStorageGet('providerSettings');
+      savedProviderSettings = { ...providerSettings, [provider]: settings };
+      await safeStorageSet({ aiProvider: provider, providerSettings: savedProviderSettings });
+      await safeStorageRemove('apiKey'); // Superseded by the per-provider key
       console.log('Storage save successful');
       
+      renderFallbackList(provider);
+      
       showStatus(`Settings saved successfully! You can now use ${AI_PROVIDERS[provider].name} on YouTube.`, 'success');
       
     } catch (error) {
@@ -465,6 +1147,84 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
   
+  // Handle failover order submission
+  failoverForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const saveButton = failoverForm.querySelector('button[type="submit"]');
+    try {
+      const fallbackProviders = readFallbackList();
+      const unconfigured = fallbackProviders.filter(provider => !isProviderConfigured(provider));
+      
+      setLoadingState(saveButton, true, 'Save Failover Order');
+      await safeStorageSet({ fallbackProviders });
+      savedFallbackProviders = fallbackProviders;
+      
+      if (fallbackProviders.length === 0) {
+        showStatus('Failover disabled. Only your main provider will be used.', 'success', 'failover-status');
+      } else if (unconfigured.length > 0) {
+        const names = unconfigured.map(provider => AI_PROVIDERS[provider].name).join(', ');
+        showStatus(`Failover order saved, but ${names} will be skipped until configured above.`, 'warning', 'failover-status');
+      } else {
+        showStatus('Failover order saved successfully!', 'success', 'failover-status');
+      }
+    } catch (error) {
+      console.error('Error saving failover order:', error);
+      showStatus('Failed to save failover order. Please try again.', 'error', 'failover-status');
+    } finally {
+      setLoadingState(saveButton, false, 'Save Failover Order');
+    }
+  });
+  
+  // Handle spending cap submission
+  limitsForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const saveButton = limitsForm.querySelector('button[type="submit"]');
+    try {
+      const daily = validateSpendingCap(dailyCapInput.value.trim(), 'Daily cap');
+      const monthly = validateSpendingCap(monthlyCapInput.value.trim(), 'Monthly cap');
+      const invalid = !daily.valid ? daily : !monthly.valid ? monthly : null;
+      if (invalid) {
+        showStatus(invalid.error, 'error', 'usage-status');
+        (invalid === daily ? dailyCapInput : monthlyCapInput).focus();
+        return;
+      }
+      
+      setLoadingState(saveButton, true, 'Save Limits');
+      await safeStorageSet({ usageLimits: { daily: daily.value, monthly: monthly.value } });
+      
+      if (daily.value === null && monthly.value === null) {
+        showStatus('Spending caps removed.', 'success', 'usage-status');
+      } else {
+        showStatus('Spending caps saved successfully!', 'success', 'usage-status');
+      }
+    } catch (error) {
+      console.error('Error saving spending caps:', error);
+      showStatus('Failed to save spending caps. Please try again.', 'error', 'usage-status');
+    } finally {
+      setLoadingState(saveButton, false, 'Save Limits');
+    }
+  });
+  
+  // Handle usage ledger reset
+  resetUsageButton.addEventListener('click', async () => {
+    try {
+      const confirmed = confirm('Are you sure you want to reset recorded usage? Daily and monthly totals, including those counted toward your caps, will start from zero.');
+      if (!confirmed) return;
+      
+      setLoadingState(resetUsageButton, true, 'Reset Usage');
+      await Protocol.send(MessageTypes.RESET_USAGE);
+      await loadUsage();
+      showStatus('Usage reset successfully!', 'success', 'usage-status');
+    } catch (error) {
+      console.error('Error resetting usage:', error);
+      showStatus('Failed to reset usage. Please try again.', 'error', 'usage-status');
+    } finally {
+      setLoadingState(resetUsageButton, false, 'Reset Usage');
+    }
+  });
+  
   // Handle system prompt form submission with enhanced validation
   promptForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -480,9 +1240,34 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
       
+      const markers = parseSectionMarkers(sanitizeText(sectionMarkersInput.value));
+      if (!markers.valid) {
+        showStatus(markers.error, 'error', 'prompt-status');
+        sectionMarkersInput.focus();
+        return;
+      }
+      
       setPromptFormLoadingState(true);
       
-      await safeStorageSet({ systemPrompt: value });
+      if (!isKnownOption(summaryLanguageSelect, summaryLanguageSelect.value)) {
+        showStatus('Please choose a summary language from the list', 'error', 'prompt-status');
+        return;
+      }
+      
+      if (!isKnownOption(commentRankingSelect, commentRankingSelect.value)) {
+        showStatus('Please choose a comment priority from the list', 'error', 'prompt-status');
+        return;
+      }
+      
+      await safeStorageSet({
+        systemPrompt: value,
+        summaryFormat: summaryFormatSelect.value,
+        sectionMarkers: markers.markers,
+        summaryLanguage: summaryLanguageSelect.value,
+        commentRanking: commentRankingSelect.value,
+        showMomentMarkers: momentMarkersInput.checked
+      });
+      sectionMarkersInput.value = formatSectionMarkers(markers.markers);
       showStatus('System prompt saved successfully!', 'success', 'prompt-status');
       
     } catch (error) {
@@ -493,6 +1278,48 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
   
+  includeRepliesInput.addEventListener('change', () => {
+    replyDepthSelect.disabled = !includeRepliesInput.checked;
+  });
+  
+  // Handle Deep Summarize settings form submission
+  deepForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const saveButton = deepForm.querySelector('button[type="submit"]');
+    try {
+      const targetCount = validateDeepLimit(targetCountInput.value.trim(), 'Target comment count', 50, 5000);
+      const maxDuration = validateDeepLimit(maxDurationInput.value.trim(), 'Time limit', 10, 600);
+      const invalid = !targetCount.valid ? targetCount : !maxDuration.valid ? maxDuration : null;
+      if (invalid) {
+        showStatus(invalid.error, 'error', 'deep-status');
+        (invalid === targetCount ? targetCountInput : maxDurationInput).focus();
+        return;
+      }
+      
+      if (!isKnownOption(replyDepthSelect, replyDepthSelect.value)) {
+        showStatus('Please choose how many levels of replies to open', 'error', 'deep-status');
+        return;
+      }
+      
+      setLoadingState(saveButton, true, 'Save Deep Summarize Settings');
+      await safeStorageSet({
+        deepSummarize: {
+          targetCount: targetCount.value,
+          maxDuration: maxDuration.value,
+          includeReplies: includeRepliesInput.checked,
+          replyDepth: parseInt(replyDepthSelect.value, 10)
+        }
+      });
+      showStatus('Deep Summarize settings saved successfully!', 'success', 'deep-status');
+    } catch (error) {
+      console.error('Error saving Deep Summarize settings:', error);
+      showStatus('Failed to save Deep Summarize settings. Please try again.', 'error', 'deep-status');
+    } finally {
+      setLoadingState(saveButton, false, 'Save Deep Summarize Settings');
+    }
+  });
+  
   // Handle reset to default prompt with confirmation
   resetPromptButton.addEventListener('click', async () => {
     try {
@@ -557,6 +1384,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           input.style.borderColor = 'var(--in-content-border-invalid)';
         } else {
           input.style.borderColor = 'var(--in-content-border-focus)';
+          refreshModelList(provider, value);
         }
       }
     } catch (error) {
@@ -581,6 +1409,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
   
+  // Connection changes point the model list at a different server
+  ['base-url-input', 'api-version-input', 'auth-header-select', 'extra-headers-input'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', () => {
+      refreshModelList(providerSelect.value, sanitizeText(input.value));
+    });
+  });
+  
   // Reset border colors on focus
   input.addEventListener('focus', () => {
     input.style.borderColor = '';
@@ -0,0 +1,242 @@
+// protocol.js - Message contract shared by the background script, content script and options page
+
+const PROTOCOL_VERSION = 1;
+
+const MessageTypes = Object.freeze({
+  SUMMARIZE: 'summarize',
+  ASK: 'ask',
+  CANCEL: 'cancel',
+  GET_PROVIDERS: 'getProviders',
+  LIST_MODELS: 'listModels',
+  GET_USAGE: 'getUsage',
+  RESET_USAGE: 'resetUsage',
+  // Streamed from the background script while a summarize request runs
+  PARTIAL: 'partial',
+  PROGRESS: 'progress'
+});
+
+const ErrorCodes = Object.freeze({
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  NO_USABLE_COMMENTS: 'NO_USABLE_COMMENTS',
+  SPENDING_CAP: 'SPENDING_CAP',
+  RATE_LIMITED: 'RATE_LIMITED',
+  PROVIDER_ERROR: 'PROVIDER_ERROR',
+  CANCELLED: 'CANCELLED',
+  INTERNAL: 'INTERNAL'
+});
+
+/**
+ * A comment as extracted from the page: its text plus whatever details YouTube showed for it
+ */
+const COMMENT_SCHEMA = Object.freeze({
+  text: { type: 'string', required: true, maxLength: 1000 },
+  author: { type: 'string', maxLength: 100 },
+  likes: { type: 'number', min: 0 },
+  publishedTime: { type: 'string', maxLength: 50 },
+  replyCount: { type: 'number', min: 0 },
+  pinned: { type: 'boolean' },
+  hearted: { type: 'boolean' },
+  byCreator: { type: 'boolean' },
+  isReply: { type: 'boolean' },
+  threadId: { type: 'string', maxLength: 64 },
+  depth: { type: 'number', min: 0 },
+  copies: { type: 'number', min: 1 }
+});
+
+/**
+ * Payload schema for every request type. Each field lists its type, whether it is required and its limits;
+ * fields not listed are rejected.
+ */
+const PAYLOAD_SCHEMAS = Object.freeze({
+  [MessageTypes.SUMMARIZE]: {
+    comments: { type: 'array', items: { type: 'object', fields: COMMENT_SCHEMA }, required: true, minItems: 1, maxItems: 5000 },
+    videoId: { type: 'string', nullable: true, maxLength: 64 },
+    bypassCache: { type: 'boolean' }
+  },
+  [MessageTypes.ASK]: {
+    videoId: { type: 'string', required: true, maxLength: 64 },
+    question: { type: 'string', required: true, maxLength: 1000 },
+    comments: { type: 'array', items: { type: 'object', fields: COMMENT_SCHEMA }, required: true, minItems: 1, maxItems: 5000 }
+  },
+  [MessageTypes.CANCEL]: {
+    targetRequestId: { type: 'string', required: true, maxLength: 100 }
+  },
+  [MessageTypes.GET_PROVIDERS]: {},
+  [MessageTypes.LIST_MODELS]: {
+    provider: { type: 'string', required: true, maxLength: 50 },
+    apiKey: { type: 'string', maxLength: 4096 },
+    settings: { type: 'object' }
+  },
+  [MessageTypes.GET_USAGE]: {},
+  [MessageTypes.RESET_USAGE]: {}
+});
+
+/**
+ * Error reported by the other side of the protocol, carrying its error code and any details
+ */
+class ProtocolError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+const Protocol = Object.freeze({
+  version: PROTOCOL_VERSION,
+
+  createRequestId() {
+    return crypto.randomUUID();
+  },
+
+  /**
+   * Wraps a payload in a request envelope: { version, type, requestId, payload }
+   */
+  createRequest(type, payload = {}, requestId = Protocol.createRequestId()) {
+    return { version: PROTOCOL_VERSION, type, requestId, payload };
+  },
+
+  createResponse(request, payload = {}) {
+    return { version: PROTOCOL_VERSION, type: request?.type, requestId: request?.requestId ?? null, ok: true, payload };
+  },
+
+  createErrorResponse(request, code, message, details = {}) {
+    return {
+      version: PROTOCOL_VERSION,
+      type: request?.type,
+      requestId: request?.requestId ?? null,
+      ok: false,
+      error: { code, message, ...details }
+    };
+  },
+
+  /**
+   * Intermediate message sent for a request before its response, such as streamed text or progress
+   */
+  createEvent(request, type, payload = {}) {
+    return { version: PROTOCOL_VERSION, type, requestId: request?.requestId ?? null, payload };
+  },
+
+  isResponse(message) {
+    return typeof message?.ok === 'boolean';
+  },
+
+  /**
+   * Checks the envelope and the payload of an incoming request
+   */
+  validateRequest(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return { valid: false, code: ErrorCodes.INVALID_MESSAGE, error: 'Message must be an object' };
+    }
+    if (message.version !== PROTOCOL_VERSION) {
+      return { valid: false, code: ErrorCodes.UNSUPPORTED_VERSION, error: `Unsupported protocol version: ${message.version}` };
+    }
+    if (typeof message.requestId !== 'string' || message.requestId.length === 0 || message.requestId.length > 100) {
+      return { valid: false, code: ErrorCodes.INVALID_MESSAGE, error: 'Message requires a request ID' };
+    }
+    if (!Object.prototype.hasOwnProperty.call(PAYLOAD_SCHEMAS, message.type)) {
+      return { valid: false, code: ErrorCodes.UNKNOWN_TYPE, error: `Unknown request type: ${message.type}` };
+    }
+    return Protocol.validatePayload(message.type, message.payload);
+  },
+
+  validatePayload(type, payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return { valid: false, code: ErrorCodes.INVALID_PAYLOAD, error: 'Payload must be an object' };
+    }
+    return Protocol.validateFields(PAYLOAD_SCHEMAS[type], payload, type);
+  },
+
+  /**
+   * Checks the fields of an object against a schema; fields not in the schema are rejected
+   */
+  validateFields(schema, value, label) {
+    const invalid = (error) => ({ valid: false, code: ErrorCodes.INVALID_PAYLOAD, error });
+
+    for (const key of Object.keys(value)) {
+      if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+        return invalid(`Unexpected field "${key}" for ${label}`);
+      }
+    }
+
+    for (const [key, field] of Object.entries(schema)) {
+      const fieldValue = value[key];
+      if (fieldValue === undefined || (fieldValue === null && field.nullable)) {
+        if (field.required) {
+          return invalid(`Missing field "${key}" for ${label}`);
+        }
+        continue;
+      }
+
+      switch (field.type) {
+        case 'string':
+          if (typeof fieldValue !== 'string' || (field.maxLength && fieldValue.length > field.maxLength)) {
+            return invalid(`Field "${key}" must be a string of at most ${field.maxLength} characters`);
+          }
+          break;
+        case 'number':
+          if (!Number.isFinite(fieldValue) || fieldValue < (field.min ?? -Infinity)) {
+            return invalid(field.min === undefined
+              ? `Field "${key}" must be a number`
+              : `Field "${key}" must be a number of at least ${field.min}`);
+          }
+          break;
+        case 'boolean':
+          if (typeof fieldValue !== 'boolean') {
+            return invalid(`Field "${key}" must be a boolean`);
+          }
+          break;
+        case 'object':
+          if (typeof fieldValue !== 'object' || fieldValue === null || Array.isArray(fieldValue)) {
+            return invalid(`Field "${key}" must be an object`);
+          }
+          break;
+        case 'array':
+          if (!Array.isArray(fieldValue) || fieldValue.length < (field.minItems || 0) || fieldValue.length > field.maxItems) {
+            return invalid(`Field "${key}" must be a list of ${field.minItems || 0} to ${field.maxItems} items`);
+          }
+          // Every item is checked against the item schema
+          for (let i = 0; i < fieldValue.length; i++) {
+            const item = fieldValue[i];
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+              return invalid(`Field "${key}" must only contain objects`);
+            }
+            const result = Protocol.validateFields(field.items.fields, item, `item ${i} of "${key}"`);
+            if (!result.valid) {
+              return result;
+            }
+          }
+          break;
+      }
+    }
+
+    return { valid: true };
+  },
+
+  /**
+   * Returns the payload of a successful response, or throws a ProtocolError for an error response
+   */
+  unwrapResponse(response) {
+    if (!response || response.version !== PROTOCOL_VERSION || !Protocol.isResponse(response)) {
+      throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, 'Unexpected response from the background script');
+    }
+    if (!response.ok) {
+      const { code, message, ...details } = response.error || {};
+      throw new ProtocolError(code || ErrorCodes.INTERNAL, message || 'Unknown error', details);
+    }
+    return response.payload;
+  },
+
+  /**
+   * Sends a request to the background script and resolves with the response payload
+   */
+  async send(type, payload = {}, requestId = Protocol.createRequestId()) {
+    const response = await browser.runtime.sendMessage(Protocol.createRequest(type, payload, requestId));
+    return Protocol.unwrapResponse(response);
+  }
+});
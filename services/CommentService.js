@@ -88,53 +88,13 @@ export class CommentService {
   }
 
   /**
-   * Expands reply threads by clicking reply buttons
-   * @returns {Promise<void>}
-   */
-  async expandReplyThreads() {
-    try {
-      const replyButtons = document.querySelectorAll('[aria-label*="reply"], [aria-label*="replies"]');
-      
-      // Process buttons in batches to avoid blocking
-      const batchSize = 3;
-      for (let i = 0; i < replyButtons.length; i += batchSize) {
-        const batch = Array.from(replyButtons).slice(i, i + batchSize);
-        
-        for (const button of batch) {
-          if (button && button.offsetParent !== null && !button.disabled) {
-            button.click();
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-        }
-        
-        // Small delay between batches
-        if (i + batchSize < replyButtons.length) {
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
-      }
-      
-      // Wait for replies to load
-      await new Promise(resolve => setTimeout(resolve, CONSTANTS.PERFORMANCE.REPLY_EXPANSION_DELAY));
-      
-    } catch (error) {
-      Logger.warn('Error expanding reply threads:', error);
-    }
-  }
-
-  /**
-   * Finds all comments with reply expansion
+   * Finds all comments
    * @returns {Promise<string[]>} Array of comment texts
    */
   async findComments() {
     const comments = [];
     const seenTexts = new Set();
     
-    // Expand replies only if we have comments
-    const initialComments = await this.findCommentsWithoutExpanding();
-    if (initialComments.length > 0) {
-      await this.expandReplyThreads();
-    }
-    
     const commentsSection = this.getCachedCommentsSection();
     if (!commentsSection) return comments;
     
@@ -210,12 +170,6 @@ export class CommentService {
         
         await new Promise(resolve => setTimeout(resolve, CONSTANTS.PERFORMANCE.SCROLL_DELAY));
         
-        // Expand replies only if we have comments
-        const newComments = await this.findCommentsWithoutExpanding();
-        if (newComments.length > 0) {
-          await this.expandReplyThreads();
-        }
-        
         // Look for "Load more" button and click it
         const loadMoreButton = document.querySelector('ytd-continuation-item-renderer button') ||
                              document.querySelector('[aria-label*="Show more"]') ||
@@ -224,7 +178,6 @@ export class CommentService {
         if (loadMoreButton && loadMoreButton.offsetParent !== null) {
           loadMoreButton.click();
           await new Promise(resolve => setTimeout(resolve, CONSTANTS.PERFORMANCE.SCROLL_DELAY));
-          await this.expandReplyThreads();
         }
         
         // Get updated comment count
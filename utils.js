@@ -236,7 +236,6 @@ export const CONSTANTS = {
     RETRY_DELAY: 250,
     MAX_BUTTON_INJECTION_ATTEMPTS: 3,
     MAX_CLEANUP_ITEMS: 50,
-    REPLY_EXPANSION_DELAY: 1000,
     SCROLL_DELAY: 1500,
     CACHE_TIMEOUT: 5000
   },